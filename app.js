@@ -1,12 +1,18 @@
 // Constants
-const g = 9.81; // gravity (m/s^2)
-const rho = 1.225; // air density (kg/m^3)
-const Crr = 0.004; // rolling resistance coefficient
+const windArrowSpacing = 10000; // distance between wind arrows on the map (m)
+const profileFields = ['rider-weight', 'bike-weight', 'cda', 'pmax', 'vmax', 'cp', 'wprime', 'tire-width', 'tire-pressure', 'tire-crr']; // inputs compared between setups
+const profileColors = ['#e11d48', '#0891b2', '#65a30d', '#9333ea', '#ea580c', '#475569'];
+const profileStorageKey = 'gpx-bike-simulator.profiles'; // localStorage key of the saved riders and bikes
+const cpFitMinDuration = 120; // power curve efforts used to fit CP and W′ (s)...
+const cpFitMaxDuration = 1200; // ...up to 20 minutes
+const rangeRows = '.climb-row, .cadence-row'; // table rows that select a range of the route
 
 // State
 let gpxData = null;
 let map = null;
 let mapPolyline = null;
+let brakingLayer = null; // Map overlay of sections where the rider brakes
+let windLayer = null; // Map overlay of wind arrows
 let hoverMarker = null;
 let simulationDataGlobal = null;
 let selectedRange = null; // {start: index, end: index}
@@ -18,25 +24,90 @@ let charts = {
     slope: null,
     speed: null,
     power: null,
-    progress: null
+    wPrime: null,
+    wind: null,
+    progress: null,
+    gap: null
 };
+let calibrationChart = null;
+let gearChart = null; // Gear usage histogram; off the distance axis, so not in charts
+let calibrationResult = null;
+let optimalPlan = null; // Result of the pacing optimiser for the current parameters
+let windProfile = null; // Wind loaded from a CSV file: {type: 'distance'|'time'|'position', samples}
+let surfaceIndex = null; // Spatial index of surface-tagged ways from a loaded OSM/GeoJSON file
+let surfacePaint = []; // Surfaces painted on the route: [{from, to (m along the route), surface}]
+let surfaceLayer = null; // Map overlay colouring the route by surface
+let surfaceLegend = null;
+let routeWaypoints = []; // Waypoints of the GPX file placed on the simulated ride (see placeWaypoints)
+let stops = []; // Stops on the route: [{name, distance (m along the route), duration (s)}]
+let slowZones = []; // Speed caps on ranges of the route: [{from, to (m along the route), speed (m/s)}]
+let routeStops = []; // The stops of the simulated ride with their arrival and departure (see scheduleStops)
+let routeClimbs = []; // Categorised climbs of the simulated ride (see detectClimbs)
+let routeSchedule = []; // Clock times along the simulated ride (see buildSchedule)
+let fuelingPlan = null; // Carbohydrate, fluid and intake points of the simulated ride (see planFueling)
+let gearingAnalysis = null; // Gear usage and cadence limits of the simulated ride, with its drivetrain (see analyzeGearing)
+let powerRider = null; // In a team time trial, the name of the rider the power, work and cadence follow
+let addingStop = false; // The next click on the route adds a stop
+let teamRiders = defaultTeamRiders.map(rider => ({ ...rider })); // Team time trial riders, edited in the Team Time Trial panel
+let comparisonProfiles = []; // Setups ridden next to the current one: [{name, color, values: {input id: value}}]
+let profileRuns = []; // Their simulated rides: [{profile, times, powers (one per data point)}]
+let profileStore = null; // Saved riders and bikes: {riders, bikes, rider (selected id), bike (selected id)}
 
 // DOM Elements
 const fileInput = document.getElementById('gpx-file');
 const resultsDiv = document.getElementById('results');
 
 // Parameter inputs
-const weightInput = document.getElementById('weight');
-const weightSlider = document.getElementById('weight-slider');
+const riderWeightInput = document.getElementById('rider-weight');
+const riderWeightSlider = document.getElementById('rider-weight-slider');
+const bikeWeightInput = document.getElementById('bike-weight');
+const bikeWeightSlider = document.getElementById('bike-weight-slider');
 const cdaInput = document.getElementById('cda');
 const cdaSlider = document.getElementById('cda-slider');
 const pmaxInput = document.getElementById('pmax');
 const pmaxSlider = document.getElementById('pmax-slider');
 const vmaxInput = document.getElementById('vmax');
 const vmaxSlider = document.getElementById('vmax-slider');
+const leanInput = document.getElementById('lean');
+const leanSlider = document.getElementById('lean-slider');
+const brakingInput = document.getElementById('braking');
+const brakingSlider = document.getElementById('braking-slider');
+const temperatureInput = document.getElementById('temperature');
+const temperatureSlider = document.getElementById('temperature-slider');
+const humidityInput = document.getElementById('humidity');
+const humiditySlider = document.getElementById('humidity-slider');
+const pressureInput = document.getElementById('pressure');
+const pressureSlider = document.getElementById('pressure-slider');
+const windSpeedInput = document.getElementById('wind-speed');
+const windSpeedSlider = document.getElementById('wind-speed-slider');
+const windDirectionInput = document.getElementById('wind-direction');
+const windDirectionSlider = document.getElementById('wind-direction-slider');
+const tireWidthInput = document.getElementById('tire-width');
+const tireWidthSlider = document.getElementById('tire-width-slider');
+const tirePressureInput = document.getElementById('tire-pressure');
+const tirePressureSlider = document.getElementById('tire-pressure-slider');
+const tireCrrInput = document.getElementById('tire-crr');
+const tireCrrSlider = document.getElementById('tire-crr-slider');
+const cpInput = document.getElementById('cp');
+const cpSlider = document.getElementById('cp-slider');
+const wPrimeInput = document.getElementById('wprime');
+const wPrimeSlider = document.getElementById('wprime-slider');
 
 // Event Listeners
 fileInput.addEventListener('change', handleFileUpload);
+document.getElementById('wind-file').addEventListener('change', handleWindFileUpload);
+document.getElementById('clear-wind').addEventListener('click', clearWindProfile);
+document.getElementById('surface-file').addEventListener('change', handleSurfaceFileUpload);
+document.getElementById('clear-surface-file').addEventListener('click', clearSurfaceFile);
+document.getElementById('paint-selection').addEventListener('click', paintSelectedSurface);
+document.getElementById('clear-paint').addEventListener('click', clearSurfacePaint);
+document.getElementById('add-stop').addEventListener('click', toggleAddStop);
+document.getElementById('stops-from-waypoints').addEventListener('click', addWaypointStops);
+document.getElementById('clear-stops').addEventListener('click', clearStops);
+document.getElementById('add-slow-zone').addEventListener('click', addSlowZone);
+document.getElementById('clear-slow-zones').addEventListener('click', clearSlowZones);
+document.getElementById('stop-table-body').addEventListener('change', handleStopTableInput);
+document.getElementById('stop-table-body').addEventListener('click', handleStopTableClick);
 
 // Sync inputs and sliders, and trigger auto-simulation
 function setupParameterSync(input, slider) {
@@ -54,16 +125,53 @@ function setupParameterSync(input, slider) {
 }
 
 // Setup all parameter syncs
-setupParameterSync(weightInput, weightSlider);
+setupParameterSync(riderWeightInput, riderWeightSlider);
+setupParameterSync(bikeWeightInput, bikeWeightSlider);
 setupParameterSync(cdaInput, cdaSlider);
 setupParameterSync(pmaxInput, pmaxSlider);
 setupParameterSync(vmaxInput, vmaxSlider);
+setupParameterSync(leanInput, leanSlider);
+setupParameterSync(brakingInput, brakingSlider);
+setupParameterSync(temperatureInput, temperatureSlider);
+setupParameterSync(humidityInput, humiditySlider);
+setupParameterSync(pressureInput, pressureSlider);
+setupParameterSync(windSpeedInput, windSpeedSlider);
+setupParameterSync(windDirectionInput, windDirectionSlider);
+setupParameterSync(tireWidthInput, tireWidthSlider);
+setupParameterSync(tirePressureInput, tirePressureSlider);
+setupParameterSync(tireCrrInput, tireCrrSlider);
+setupParameterSync(cpInput, cpSlider);
+setupParameterSync(wPrimeInput, wPrimeSlider);
+
+// Preprocessing and pacing options re-run the simulation when changed
+[
+    'remove-duplicates', 'resample-distance', 'smoothing', 'smoothing-window', 'max-grade',
+    'pacing-strategy', 'pacing-grade-gain', 'pacing-ftp', 'pacing-if', 'pacing-descent', 'pacing-soft-power',
+    'group-mode', 'paceline-position', 'rotation-length', 'start-time',
+    'efficiency', 'carbs-per-hour', 'fluid-per-hour', 'intake-interval',
+    'wheel-circumference', 'cadence-preferred', 'cadence-min', 'cadence-max'
+].forEach(id => {
+    const element = document.getElementById(id);
+    element.addEventListener('change', autoSimulate);
+    element.addEventListener('input', autoSimulate);
+});
+
+// Comparisons only change what is ridden, not the parameters
+['compare-sea-level', 'compare-strategies'].forEach(id => document.getElementById(id).addEventListener('change', () => {
+    if (gpxData) runSimulation();
+}));
+
+// Tooth lists only once typed out, not at every keystroke
+['chainrings', 'cassette'].forEach(id => document.getElementById(id).addEventListener('change', autoSimulate));
 
 // Auto-simulate function with debounce
 let simulateTimeout = null;
 function autoSimulate() {
     if (!gpxData) return;
     
+    // An optimised plan only holds for the parameters it was computed with
+    optimalPlan = null;
+    
     // Debounce to avoid too many calculations while dragging slider
     clearTimeout(simulateTimeout);
     simulateTimeout = setTimeout(() => {
@@ -78,6 +186,7 @@ async function loadDefaultGPX() {
         if (response.ok) {
             const text = await response.text();
             gpxData = parseGPX(text);
+            updateTrackSelect();
             
             if (gpxData && gpxData.points.length > 0) {
                 console.log(`Loaded default route with ${gpxData.points.length} points`);
@@ -136,6 +245,66 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
     
+    // Saved riders and bikes fill the parameter inputs
+    profileStore = loadProfileStore();
+    applySelectedProfiles();
+    ['rider-profile', 'rider-position', 'bike-profile', 'bike-tire'].forEach(id => {
+        document.getElementById(id).addEventListener('change', handleProfileSelect);
+    });
+    document.getElementById('save-rider').addEventListener('click', saveRiderProfile);
+    document.getElementById('new-rider').addEventListener('click', newRiderProfile);
+    document.getElementById('delete-rider').addEventListener('click', deleteRiderProfile);
+    document.getElementById('new-position').addEventListener('click', newRiderPosition);
+    document.getElementById('delete-position').addEventListener('click', deleteRiderPosition);
+    document.getElementById('save-bike').addEventListener('click', saveBikeProfile);
+    document.getElementById('new-bike').addEventListener('click', newBikeProfile);
+    document.getElementById('delete-bike').addEventListener('click', deleteBikeProfile);
+    document.getElementById('new-tire').addEventListener('click', newBikeTire);
+    document.getElementById('delete-tire').addEventListener('click', deleteBikeTire);
+    document.getElementById('power-curve-file').addEventListener('change', handlePowerCurveUpload);
+    document.getElementById('import-profiles').addEventListener('change', handleProfileImport);
+    document.getElementById('export-profiles').addEventListener('click', exportProfiles);
+    
+    // Crr per surface for the tire inputs
+    [tireWidthInput, tireWidthSlider, tirePressureInput, tirePressureSlider, tireCrrInput, tireCrrSlider].forEach(element => {
+        element.addEventListener('input', updateCrrTable);
+    });
+    updateCrrTable();
+    
+    // Group riding
+    document.getElementById('group-mode').addEventListener('change', updateGroupInputs);
+    document.getElementById('add-rider').addEventListener('click', addTeamRider);
+    document.getElementById('team-table-body').addEventListener('input', handleTeamTableInput);
+    document.getElementById('team-table-body').addEventListener('click', handleTeamTableClick);
+    renderTeamTable();
+    updateGroupInputs();
+    
+    // Profile comparison
+    document.getElementById('save-profile').addEventListener('click', saveProfile);
+    document.getElementById('profile-table-head').addEventListener('click', handleProfileTableClick);
+    document.getElementById('climb-table-body').addEventListener('click', handleClimbTableClick);
+    document.getElementById('cadence-table-body').addEventListener('click', handleCadenceTableClick);
+    
+    // Schedule: the ride starts today at 9:00 until set otherwise
+    document.getElementById('start-time').value = `${formatDateTime(Date.now()).slice(0, 10)}T09:00`;
+    document.getElementById('eta-interval').addEventListener('input', displaySchedule);
+    document.getElementById('schedule-buttons').addEventListener('click', handleScheduleClick);
+    
+    // Track of a GPX file with several
+    document.getElementById('track-select').addEventListener('change', handleTrackSelect);
+    
+    // Export
+    document.getElementById('export-buttons').addEventListener('click', handleExportClick);
+    
+    // Pacing optimiser
+    document.getElementById('optimize-pacing').addEventListener('click', runOptimizer);
+    document.getElementById('optimizer-constraint').addEventListener('change', updateOptimizerInputs);
+    updateOptimizerInputs();
+    
+    // Calibration panel
+    document.getElementById('fit-drag').addEventListener('click', runCalibration);
+    document.getElementById('apply-cda').addEventListener('click', applyCalibratedCdA);
+    
     // Load default GPX file
     loadDefaultGPX();
 });
@@ -146,310 +315,1540 @@ async function handleFileUpload(event) {
     if (!file) return;
 
     try {
-        const text = await file.text();
-        gpxData = parseGPX(text);
+        const buffer = await file.arrayBuffer();
+        gpxData = parseActivityFile(buffer);
+        optimalPlan = null;
+        clearCalibration();
+        surfacePaint = [];
+        stops = [];
+        slowZones = [];
+        updateTrackSelect();
+        updateStopStatus();
         
         if (gpxData && gpxData.points.length > 0) {
-            console.log(`Loaded ${gpxData.points.length} points from GPX`);
-            // Auto-simulate after loading GPX
+            console.log(`Loaded ${gpxData.points.length} points from ${gpxData.format.toUpperCase()}`);
+            // Auto-simulate after loading the file
             runSimulation();
         } else {
-            alert('No valid track points found in GPX file');
+            alert('No valid track points found in file');
         }
     } catch (error) {
-        console.error('Error reading GPX file:', error);
-        alert('Error reading GPX file: ' + error.message);
+        console.error('Error reading file:', error);
+        alert('Error reading file: ' + error.message);
     }
 }
 
-// Parse GPX File
-function parseGPX(gpxText) {
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(gpxText, 'text/xml');
-    
-    // Check for parsing errors
-    const parserError = xmlDoc.querySelector('parsererror');
-    if (parserError) {
-        throw new Error('Invalid GPX file');
+// Start of the ride (ms) from the Start input, in the browser's time zone; null when unset
+function getStartTime() {
+    const time = Date.parse(document.getElementById('start-time').value);
+    return isNaN(time) ? null : time;
+}
+
+// Date and time a number of seconds after arriving at a stop, or '--' without a start time
+function formatStopTime(data, stop, afterArrival) {
+    const eta = data[stop.index].eta;
+    return eta !== null ? formatDateTime(eta + afterArrival * 1000) : '--';
+}
+
+// "On Map" arms the next click on the route to add a stop there; a second click cancels
+function toggleAddStop() {
+    addingStop = !addingStop;
+    document.getElementById('add-stop').classList.toggle('active', addingStop);
+    updateStopStatus();
+}
+
+function addStopAt(index) {
+    const minutes = parseFloat(document.getElementById('stop-duration').value) || 0;
+    stops.push({
+        name: `Stop ${stops.length + 1}`,
+        distance: simulationDataGlobal[index].distance,
+        duration: minutes * 60
+    });
+    addingStop = false;
+    document.getElementById('add-stop').classList.remove('active');
+    updateStopStatus();
+    autoSimulate();
+}
+
+// A stop at every waypoint on the route that is not one already
+function addWaypointStops() {
+    const minutes = parseFloat(document.getElementById('stop-duration').value) || 0;
+    const onRoute = routeWaypoints.filter(waypoint => waypoint.index !== null);
+    if (onRoute.length === 0) {
+        alert('There are no waypoints on this route');
+        return;
     }
-    
-    // Try to get track points from <trkpt> elements
-    let trackPoints = xmlDoc.querySelectorAll('trkpt');
-    
-    // If no track points, try route points
-    if (trackPoints.length === 0) {
-        trackPoints = xmlDoc.querySelectorAll('rtept');
+    onRoute.forEach(waypoint => {
+        if (stops.some(stop => stop.name === waypoint.name && stop.distance === waypoint.distance)) return;
+        stops.push({ name: waypoint.name, distance: waypoint.distance, duration: minutes * 60 });
+    });
+    updateStopStatus();
+    autoSimulate();
+}
+
+function clearStops() {
+    stops = [];
+    updateStopStatus();
+    autoSimulate();
+}
+
+// Cap the speed over the selected range
+function addSlowZone() {
+    if (!selectedRange || !simulationDataGlobal) {
+        alert('Select a range first: SHIFT+drag on the map or a chart');
+        return;
     }
+    slowZones.push({
+        from: simulationDataGlobal[selectedRange.start].distance,
+        to: simulationDataGlobal[selectedRange.end].distance,
+        speed: parseFloat(document.getElementById('slow-zone-speed').value) / 3.6
+    });
+    updateStopStatus();
+    autoSimulate();
+}
+
+function clearSlowZones() {
+    slowZones = [];
+    updateStopStatus();
+    autoSimulate();
+}
+
+function updateStopStatus() {
+    document.getElementById('stop-status').textContent = addingStop
+        ? 'Click the route on the map to place the stop'
+        : stops.length > 0 ? `${stops.length} stop${stops.length > 1 ? 's' : ''}` : 'Click "On Map", then the route';
+    document.getElementById('slow-zone-status').textContent = slowZones.length > 0
+        ? `${slowZones.length} slow zone${slowZones.length > 1 ? 's' : ''}`
+        : 'Caps the speed over the selected range (SHIFT+drag)';
+    document.getElementById('clear-stops').disabled = stops.length === 0;
+    document.getElementById('clear-slow-zones').disabled = slowZones.length === 0;
+}
+
+// List the tracks and routes of the loaded file; the picker only shows when there is a choice
+function updateTrackSelect() {
+    const tracks = (gpxData && gpxData.tracks) || [];
+    const select = document.getElementById('track-select');
+    select.innerHTML = tracks.map((track, i) => {
+        const pointCount = track.segments.reduce((sum, segment) => sum + segment.length, 0);
+        const segmentNote = track.segments.length > 1 ? `, ${track.segments.length} segments` : '';
+        return `<option value="${i}">${escapeHtml(track.name)} (${track.type}, ${pointCount} points${segmentNote})</option>`;
+    }).join('');
+    document.getElementById('track-select-group').style.display = tracks.length > 1 ? 'flex' : 'none';
+}
+
+// Ride another track of the file
+function handleTrackSelect(event) {
+    const track = gpxData.tracks[parseInt(event.target.value)];
+    gpxData.points = trackPoints(track);
+    optimalPlan = null;
+    clearCalibration();
+    surfacePaint = [];
+    stops = [];
+    slowZones = [];
+    updateStopStatus();
+    runSimulation();
+}
+
+// Load a wind profile; it replaces the constant wind until cleared
+async function handleWindFileUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
     
-    if (trackPoints.length === 0) {
-        throw new Error('No track or route points found in GPX file');
+    try {
+        windProfile = parseWindCSV(await file.text());
+        updateWindStatus();
+        autoSimulate();
+    } catch (error) {
+        console.error('Error reading wind file:', error);
+        alert('Error reading wind file: ' + error.message);
     }
+    event.target.value = '';
+}
+
+function clearWindProfile() {
+    windProfile = null;
+    updateWindStatus();
+    autoSimulate();
+}
+
+// Load surface-tagged ways; the route takes the surface of the nearest one
+async function handleSurfaceFileUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
     
-    const points = [];
-    trackPoints.forEach(trkpt => {
-        const lat = parseFloat(trkpt.getAttribute('lat'));
-        const lon = parseFloat(trkpt.getAttribute('lon'));
-        const eleElement = trkpt.querySelector('ele');
-        const ele = eleElement ? parseFloat(eleElement.textContent) : 0;
-        
-        if (!isNaN(lat) && !isNaN(lon)) {
-            points.push({ lat, lon, ele });
+    try {
+        const ways = parseSurfaceFile(await file.text());
+        surfaceIndex = buildSurfaceIndex(ways);
+        updateSurfaceStatus();
+        autoSimulate();
+    } catch (error) {
+        console.error('Error reading surface file:', error);
+        alert('Error reading surface file: ' + error.message);
+    }
+    event.target.value = '';
+}
+
+function clearSurfaceFile() {
+    surfaceIndex = null;
+    updateSurfaceStatus();
+    autoSimulate();
+}
+
+// Paint the selected range of the route with the chosen surface
+function paintSelectedSurface() {
+    if (!selectedRange || !simulationDataGlobal) {
+        alert('Select a range first: SHIFT+drag on the map or a chart');
+        return;
+    }
+    surfacePaint.push({
+        from: simulationDataGlobal[selectedRange.start].distance,
+        to: simulationDataGlobal[selectedRange.end].distance,
+        surface: document.getElementById('paint-surface').value
+    });
+    updateSurfaceStatus();
+    autoSimulate();
+}
+
+function clearSurfacePaint() {
+    surfacePaint = [];
+    updateSurfaceStatus();
+    autoSimulate();
+}
+
+function updateSurfaceStatus() {
+    const parts = [];
+    if (surfaceIndex) parts.push(`${surfaceIndex.ways} mapped ways`);
+    if (surfacePaint.length > 0) parts.push(`${surfacePaint.length} painted range${surfacePaint.length > 1 ? 's' : ''}`);
+    document.getElementById('surface-status').textContent = parts.length > 0
+        ? parts.join(', ')
+        : 'OSM XML or GeoJSON ways with a surface tag';
+    document.getElementById('clear-surface-file').style.display = surfaceIndex ? '' : 'none';
+    document.getElementById('clear-paint').disabled = surfacePaint.length === 0;
+}
+
+// Saved profiles
+
+// Riders and bikes matching the page's default inputs, for a first visit
+function createDefaultProfiles() {
+    return {
+        riders: [{
+            id: 1,
+            name: 'Rider',
+            mass: 75,
+            Pmax: 250,
+            Vmax: 50,
+            CP: 230,
+            wPrime: 20, // kJ
+            positions: [
+                { name: 'Hoods', CdA: 0.36 },
+                { name: 'Drops', CdA: 0.33 },
+                { name: 'Aero bars', CdA: 0.28 }
+            ],
+            position: 1,
+            powerCurve: [] // [{duration (s), power (W)}]
+        }],
+        bikes: [{
+            id: 1,
+            name: 'Road bike',
+            mass: 10,
+            tires: [{ name: '28 mm clincher', width: 28, pressure: 6, crr: Crr }],
+            tire: 0
+        }],
+        rider: 1,
+        bike: 1
+    };
+}
+
+// Saved profiles get the same checks as an imported file, keeping their ids and selection
+function loadProfileStore() {
+    try {
+        const text = localStorage.getItem(profileStorageKey);
+        if (text) {
+            const stored = JSON.parse(text);
+            const { riders, bikes } = parseProfilesJSON(text);
+            if (riders.length > 0 && bikes.length > 0) {
+                return {
+                    riders: restoreProfileIds(riders, stored.riders),
+                    bikes: restoreProfileIds(bikes, stored.bikes),
+                    rider: stored.rider,
+                    bike: stored.bike
+                };
+            }
         }
+    } catch (error) {
+        console.error('Could not read the saved profiles:', error);
+    }
+    return createDefaultProfiles();
+}
+
+// Give checked riders or bikes the ids they were stored with, renumbering missing or repeated ones
+function restoreProfileIds(items, stored) {
+    const restored = items.map((item, i) => ({ ...item, id: stored[i].id }));
+    restored.forEach((item, i) => {
+        const taken = restored.slice(0, i).some(other => other.id === item.id);
+        if (!Number.isInteger(item.id) || item.id <= 0 || taken) item.id = null;
     });
-    
-    return { points };
+    restored.filter(item => item.id === null).forEach(item => {
+        item.id = nextProfileId(restored);
+    });
+    return restored;
 }
 
-// Calculate distance between two lat/lon points (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371000; // Earth's radius in meters
-    const φ1 = lat1 * Math.PI / 180;
-    const φ2 = lat2 * Math.PI / 180;
-    const Δφ = (lat2 - lat1) * Math.PI / 180;
-    const Δλ = (lon2 - lon1) * Math.PI / 180;
-    
-    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+function saveProfileStore() {
+    try {
+        localStorage.setItem(profileStorageKey, JSON.stringify(profileStore));
+    } catch (error) {
+        console.error('Could not save the profiles:', error);
+    }
+}
+
+function getSelectedRider() {
+    return profileStore.riders.find(rider => rider.id === profileStore.rider) || profileStore.riders[0];
+}
+
+function getSelectedBike() {
+    return profileStore.bikes.find(bike => bike.id === profileStore.bike) || profileStore.bikes[0];
+}
+
+function nextProfileId(list) {
+    return list.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+}
+
+// Set a parameter input and its slider without triggering a simulation
+function setParameterValue(id, value) {
+    document.getElementById(id).value = value;
+    const slider = document.getElementById(`${id}-slider`);
+    if (slider) slider.value = value;
+}
+
+function renderProfileSelects() {
+    const rider = getSelectedRider();
+    const bike = getSelectedBike();
+    const options = (items, selected) => items.map((item, i) =>
+        `<option value="${i}"${item === selected ? ' selected' : ''}>${escapeHtml(item.name)}</option>`
+    ).join('');
+    
+    document.getElementById('rider-profile').innerHTML = options(profileStore.riders, rider);
+    document.getElementById('rider-position').innerHTML = options(rider.positions, rider.positions[rider.position]);
+    document.getElementById('bike-profile').innerHTML = options(profileStore.bikes, bike);
+    document.getElementById('bike-tire').innerHTML = options(bike.tires, bike.tires[bike.tire]);
+    
+    document.getElementById('delete-rider').disabled = profileStore.riders.length <= 1;
+    document.getElementById('delete-position').disabled = rider.positions.length <= 1;
+    document.getElementById('delete-bike').disabled = profileStore.bikes.length <= 1;
+    document.getElementById('delete-tire').disabled = bike.tires.length <= 1;
+    updatePowerCurveStatus();
+}
+
+// Load the selected rider, position, bike and tire into the parameter inputs
+function applySelectedProfiles() {
+    const rider = getSelectedRider();
+    const bike = getSelectedBike();
+    const tire = bike.tires[bike.tire];
+    
+    setParameterValue('rider-weight', rider.mass);
+    setParameterValue('cda', rider.positions[rider.position].CdA);
+    setParameterValue('pmax', rider.Pmax);
+    setParameterValue('vmax', rider.Vmax);
+    setParameterValue('cp', rider.CP);
+    setParameterValue('wprime', rider.wPrime);
+    setParameterValue('bike-weight', bike.mass);
+    setParameterValue('tire-width', tire.width);
+    setParameterValue('tire-pressure', tire.pressure);
+    setParameterValue('tire-crr', tire.crr);
+    
+    renderProfileSelects();
+    updateCrrTable();
+}
+
+// Rider and bike fields as they are in the parameter inputs
+function readRiderInputs() {
+    return {
+        mass: parseFloat(riderWeightInput.value),
+        Pmax: parseFloat(pmaxInput.value),
+        Vmax: parseFloat(vmaxInput.value),
+        CP: parseFloat(cpInput.value),
+        wPrime: parseFloat(wPrimeInput.value)
+    };
+}
+
+function readTireInputs() {
+    return {
+        width: parseFloat(tireWidthInput.value),
+        pressure: parseFloat(tirePressureInput.value),
+        crr: parseFloat(tireCrrInput.value)
+    };
+}
+
+function handleProfileSelect(event) {
+    const index = parseInt(event.target.value);
+    switch (event.target.id) {
+        case 'rider-profile': profileStore.rider = profileStore.riders[index].id; break;
+        case 'rider-position': getSelectedRider().position = index; break;
+        case 'bike-profile': profileStore.bike = profileStore.bikes[index].id; break;
+        case 'bike-tire': getSelectedBike().tire = index; break;
+    }
+    saveProfileStore();
+    applySelectedProfiles();
+    autoSimulate();
+}
+
+// Store the inputs in the selected rider (and the CdA in its selected position)
+function saveRiderProfile() {
+    const rider = getSelectedRider();
+    Object.assign(rider, readRiderInputs());
+    rider.positions[rider.position].CdA = parseFloat(cdaInput.value);
+    saveProfileStore();
+}
+
+function saveBikeProfile() {
+    const bike = getSelectedBike();
+    bike.mass = parseFloat(bikeWeightInput.value);
+    Object.assign(bike.tires[bike.tire], readTireInputs());
+    saveProfileStore();
+}
+
+// New riders and bikes start from the inputs, with the positions and tires of the current one
+function newRiderProfile() {
+    const name = prompt('Name of the new rider:', `Rider ${profileStore.riders.length + 1}`);
+    if (!name) return;
+    
+    const current = getSelectedRider();
+    const rider = {
+        ...readRiderInputs(),
+        id: nextProfileId(profileStore.riders),
+        name: name.trim(),
+        positions: current.positions.map(position => ({ ...position })),
+        position: current.position,
+        powerCurve: []
+    };
+    rider.positions[rider.position].CdA = parseFloat(cdaInput.value);
+    profileStore.riders.push(rider);
+    profileStore.rider = rider.id;
+    saveProfileStore();
+    renderProfileSelects();
+}
+
+function newBikeProfile() {
+    const name = prompt('Name of the new bike:', `Bike ${profileStore.bikes.length + 1}`);
+    if (!name) return;
+    
+    const current = getSelectedBike();
+    const bike = {
+        id: nextProfileId(profileStore.bikes),
+        name: name.trim(),
+        mass: parseFloat(bikeWeightInput.value),
+        tires: current.tires.map(tire => ({ ...tire })),
+        tire: current.tire
+    };
+    Object.assign(bike.tires[bike.tire], readTireInputs());
+    profileStore.bikes.push(bike);
+    profileStore.bike = bike.id;
+    saveProfileStore();
+    renderProfileSelects();
+}
+
+function newRiderPosition() {
+    const rider = getSelectedRider();
+    const name = prompt('Name of the new position:', `Position ${rider.positions.length + 1}`);
+    if (!name) return;
+    
+    rider.positions.push({ name: name.trim(), CdA: parseFloat(cdaInput.value) });
+    rider.position = rider.positions.length - 1;
+    saveProfileStore();
+    renderProfileSelects();
+}
+
+function newBikeTire() {
+    const bike = getSelectedBike();
+    const name = prompt('Name of the new tire:', `${tireWidthInput.value} mm`);
+    if (!name) return;
+    
+    bike.tires.push({ name: name.trim(), ...readTireInputs() });
+    bike.tire = bike.tires.length - 1;
+    saveProfileStore();
+    renderProfileSelects();
+}
+
+function deleteRiderProfile() {
+    const rider = getSelectedRider();
+    if (profileStore.riders.length <= 1 || !confirm(`Delete the rider "${rider.name}"?`)) return;
+    profileStore.riders = profileStore.riders.filter(other => other !== rider);
+    profileStore.rider = profileStore.riders[0].id;
+    saveProfileStore();
+    applySelectedProfiles();
+    autoSimulate();
+}
+
+function deleteBikeProfile() {
+    const bike = getSelectedBike();
+    if (profileStore.bikes.length <= 1 || !confirm(`Delete the bike "${bike.name}"?`)) return;
+    profileStore.bikes = profileStore.bikes.filter(other => other !== bike);
+    profileStore.bike = profileStore.bikes[0].id;
+    saveProfileStore();
+    applySelectedProfiles();
+    autoSimulate();
+}
+
+function deleteRiderPosition() {
+    const rider = getSelectedRider();
+    if (rider.positions.length <= 1) return;
+    rider.positions.splice(rider.position, 1);
+    rider.position = 0;
+    saveProfileStore();
+    applySelectedProfiles();
+    autoSimulate();
+}
+
+function deleteBikeTire() {
+    const bike = getSelectedBike();
+    if (bike.tires.length <= 1) return;
+    bike.tires.splice(bike.tire, 1);
+    bike.tire = 0;
+    saveProfileStore();
+    applySelectedProfiles();
+    autoSimulate();
+}
+
+// Load a power curve into the selected rider; CP and W′ are fitted from it when it has
+// enough efforts between 2 and 20 minutes
+async function handlePowerCurveUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
     
-    return R * c; // Distance in meters
+    try {
+        const rider = getSelectedRider();
+        rider.powerCurve = parsePowerCurveCSV(await file.text());
+        const fit = fitCriticalPower(rider.powerCurve);
+        if (fit) {
+            rider.CP = Math.round(fit.CP);
+            rider.wPrime = Math.round(fit.wPrime / 100) / 10; // kJ
+            setParameterValue('cp', rider.CP);
+            setParameterValue('wprime', rider.wPrime);
+        }
+        saveProfileStore();
+        updatePowerCurveStatus();
+        autoSimulate();
+    } catch (error) {
+        console.error('Error reading power curve:', error);
+        alert('Error reading power curve: ' + error.message);
+    }
+    event.target.value = '';
+}
+
+function updatePowerCurveStatus() {
+    const curve = getSelectedRider().powerCurve || [];
+    const fit = fitCriticalPower(curve);
+    document.getElementById('power-curve-status').textContent = curve.length === 0
+        ? 'CSV: duration (s), power (W)'
+        : `${curve.length} efforts` + (fit ? `, CP ${fit.CP.toFixed(0)} W, W′ ${(fit.wPrime / 1000).toFixed(1)} kJ` : ', too few 2–20 min efforts to fit CP');
+}
+
+// Download every rider and bike as JSON
+function exportProfiles() {
+    const json = JSON.stringify({ riders: profileStore.riders, bikes: profileStore.bikes }, null, 2);
+    downloadFile('bike-simulator-profiles.json', json, 'application/json');
 }
 
-// Calculate segment data (distances, grades, etc.)
-function calculateSegmentData(points) {
-    const segments = [];
-    let totalDistance = 0;
+// Add the riders and bikes of an exported file to the saved ones
+async function handleProfileImport(event) {
+    const file = event.target.files[0];
+    if (!file) return;
     
-    for (let i = 1; i < points.length; i++) {
-        const p1 = points[i - 1];
-        const p2 = points[i];
-        
-        const horizontalDist = calculateDistance(p1.lat, p1.lon, p2.lat, p2.lon);
-        const elevationChange = p2.ele - p1.ele;
-        const distance = Math.sqrt(horizontalDist * horizontalDist + elevationChange * elevationChange);
-        
-        // Avoid division by zero
-        const grade = horizontalDist > 0 ? elevationChange / horizontalDist : 0;
-        
-        totalDistance += distance;
-        
-        segments.push({
-            distance: distance,
-            grade: grade,
-            elevation: p2.ele,
-            cumulativeDistance: totalDistance,
-            lat: p2.lat,
-            lon: p2.lon
+    try {
+        const imported = parseProfilesJSON(await file.text());
+        imported.riders.forEach(rider => {
+            profileStore.riders.push({ ...rider, id: nextProfileId(profileStore.riders) });
         });
+        imported.bikes.forEach(bike => {
+            profileStore.bikes.push({ ...bike, id: nextProfileId(profileStore.bikes) });
+        });
+        saveProfileStore();
+        renderProfileSelects();
+    } catch (error) {
+        console.error('Error reading profiles:', error);
+        alert('Error reading profiles: ' + error.message);
     }
-    
-    return segments;
+    event.target.value = '';
 }
 
-// Calculate power needed for a given speed and grade
-function calculatePowerNeeded(speed_ms, grade, mass, CdA) {
-    // Forces
-    const theta = Math.atan(grade);
-    const F_gravity = mass * g * Math.sin(theta);
-    const F_rolling = mass * g * Math.cos(theta) * Crr;
-    const F_air = 0.5 * rho * CdA * speed_ms * speed_ms;
-    
-    const totalForce = F_gravity + F_rolling + F_air;
-    const power = totalForce * speed_ms;
-    
-    return power;
+// Crr of every surface for the current tire width and pressure
+function updateCrrTable() {
+    const tire = {
+        width: parseFloat(tireWidthInput.value),
+        pressure: parseFloat(tirePressureInput.value),
+        crr: parseFloat(tireCrrInput.value)
+    };
+    document.getElementById('crr-table-body').innerHTML = surfaceTypes.map(surface => `
+        <tr>
+            <td><span class="surface-swatch" style="background: ${surface.color}"></span>${surface.name}</td>
+            <td>${calculateSurfaceCrr(surface.id, tire).toFixed(4)}</td>
+        </tr>
+    `).join('');
 }
 
-// Solve for speed given power limit and constraints
-function calculateSpeed(grade, mass, CdA, Pmax, Vmax_ms) {
-    // Check if we can reach Vmax with available power
-    const powerAtVmax = calculatePowerNeeded(Vmax_ms, grade, mass, CdA);
-    if (powerAtVmax <= Pmax) {
-        return Vmax_ms; // Can reach max speed with available power
+function updateWindStatus() {
+    const labels = { distance: 'along the route', time: 'over time', position: 'by position' };
+    document.getElementById('wind-status').textContent = windProfile
+        ? `${windProfile.samples.length} samples ${labels[windProfile.type]} (replaces the constant wind)`
+        : 'CSV: speed, direction and km, hour or lat/lon';
+    document.getElementById('clear-wind').style.display = windProfile ? '' : 'none';
+}
+
+// Read the preprocessing options from the sidebar
+function getPreprocessOptions() {
+    return {
+        removeDuplicates: document.getElementById('remove-duplicates').checked,
+        resampleDistance: parseFloat(document.getElementById('resample-distance').value) || 0,
+        smoothing: document.getElementById('smoothing').value,
+        smoothingWindow: parseFloat(document.getElementById('smoothing-window').value) || 0,
+        maxGrade: parseFloat(document.getElementById('max-grade').value) || 0
+    };
+}
+
+// Show total ascent before and after preprocessing
+function displayPreprocessSummary(rawPoints, points) {
+    const rawAscent = calculateAscent(rawPoints);
+    const ascent = calculateAscent(points);
+    const change = rawAscent > 0 ? (ascent - rawAscent) / rawAscent * 100 : 0;
+    
+    document.getElementById('ascent-raw').textContent = `${rawAscent.toFixed(0)} m`;
+    document.getElementById('ascent-filtered').textContent = `${ascent.toFixed(0)} m`;
+    document.getElementById('ascent-change').textContent =
+        `${change >= 0 ? '+' : ''}${change.toFixed(1)}% · ${rawPoints.length} → ${points.length} points`;
+}
+
+// Parse a power curve CSV: best average power (W) per effort duration (s), one effort
+// per row. A header row is optional.
+function parsePowerCurveCSV(text) {
+    const curve = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => line.split(/[,;\t]/).map(cell => parseFloat(cell)))
+        .filter(row => row.length >= 2 && row[0] > 0 && row[1] > 0)
+        .map(row => ({ duration: row[0], power: row[1] }));
+    
+    if (curve.length === 0) {
+        throw new Error('No duration, power rows found');
     }
+    return curve.sort((a, b) => a.duration - b.duration);
+}
+
+// Critical Power model: the work of a maximal effort grows as W′ + CP × t. A least-squares
+// line through the 2-20 minute efforts gives CP (slope) and W′ (intercept, J).
+function fitCriticalPower(curve) {
+    const efforts = curve.filter(effort => effort.duration >= cpFitMinDuration && effort.duration <= cpFitMaxDuration);
+    if (efforts.length < 2) return null;
+    
+    const n = efforts.length;
+    const meanT = efforts.reduce((sum, effort) => sum + effort.duration, 0) / n;
+    const meanW = efforts.reduce((sum, effort) => sum + effort.power * effort.duration, 0) / n;
+    let covariance = 0;
+    let variance = 0;
+    efforts.forEach(effort => {
+        covariance += (effort.duration - meanT) * (effort.power * effort.duration - meanW);
+        variance += (effort.duration - meanT) * (effort.duration - meanT);
+    });
+    if (variance === 0) return null;
     
-    // We can't reach Vmax, so find the speed achievable with Pmax
-    // Binary search for speed where power needed = Pmax
-    let vMin = 0.1;
-    let vMax = Vmax_ms;
-    const tolerance = 0.001;
-    const maxIterations = 100;
-    let iterations = 0;
-    
-    while (vMax - vMin > tolerance && iterations < maxIterations) {
-        const vMid = (vMin + vMax) / 2;
-        const powerNeeded = calculatePowerNeeded(vMid, grade, mass, CdA);
-        
-        if (powerNeeded < Pmax) {
-            vMin = vMid; // Can go faster with available power
-        } else {
-            vMax = vMid; // Need more power than available
-        }
-        iterations++;
+    const CP = covariance / variance;
+    const wPrime = meanW - CP * meanT;
+    return CP > 0 && wPrime > 0 ? { CP, wPrime } : null;
+}
+
+// Validate an exported profiles file. Missing or invalid fields take the defaults, so
+// hand-written files only need names and the values that differ.
+function parseProfilesJSON(text) {
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.riders) || !Array.isArray(data.bikes)) {
+        throw new Error('Profiles file needs "riders" and "bikes" arrays');
     }
     
-    return (vMin + vMax) / 2;
+    const defaults = createDefaultProfiles();
+    const number = (value, fallback) => typeof value === 'number' && value > 0 ? value : fallback;
+    const name = (value, fallback) => typeof value === 'string' && value.trim() ? value.trim() : fallback;
+    const list = (value, fallback) => Array.isArray(value) && value.length > 0 ? value : fallback;
+    const index = (value, length) => Number.isInteger(value) && value >= 0 && value < length ? value : 0;
+    const defaultRider = defaults.riders[0];
+    const defaultBike = defaults.bikes[0];
+    
+    const riders = data.riders.map((rider, i) => {
+        const positions = list(rider.positions, defaultRider.positions).map((position, p) => ({
+            name: name(position.name, `Position ${p + 1}`),
+            CdA: number(position.CdA, defaultRider.positions[defaultRider.position].CdA)
+        }));
+        return {
+            name: name(rider.name, `Rider ${i + 1}`),
+            mass: number(rider.mass, defaultRider.mass),
+            Pmax: number(rider.Pmax, defaultRider.Pmax),
+            Vmax: number(rider.Vmax, defaultRider.Vmax),
+            CP: number(rider.CP, defaultRider.CP),
+            wPrime: number(rider.wPrime, defaultRider.wPrime),
+            positions: positions,
+            position: index(rider.position, positions.length),
+            powerCurve: (Array.isArray(rider.powerCurve) ? rider.powerCurve : [])
+                .filter(effort => effort.duration > 0 && effort.power > 0)
+                .map(effort => ({ duration: effort.duration, power: effort.power }))
+        };
+    });
+    
+    const bikes = data.bikes.map((bike, i) => {
+        const tires = list(bike.tires, defaultBike.tires).map((tire, t) => ({
+            name: name(tire.name, `Tire ${t + 1}`),
+            width: number(tire.width, referenceTireWidth),
+            pressure: number(tire.pressure, defaultBike.tires[0].pressure),
+            crr: number(tire.crr, Crr)
+        }));
+        return {
+            name: name(bike.name, `Bike ${i + 1}`),
+            mass: number(bike.mass, defaultBike.mass),
+            tires: tires,
+            tire: index(bike.tire, tires.length)
+        };
+    });
+    
+    if (riders.length === 0 && bikes.length === 0) {
+        throw new Error('No riders or bikes found');
+    }
+    return { riders, bikes };
+}
+
+// Read the parameters of simulate() from the sidebar and the loaded wind and surface files
+function getSimulationParams() {
+    return resolveParams({
+        mass: parseFloat(document.getElementById('rider-weight').value) + parseFloat(document.getElementById('bike-weight').value),
+        CdA: parseFloat(document.getElementById('cda').value),
+        Pmax: parseFloat(document.getElementById('pmax').value),
+        Vmax_ms: parseFloat(document.getElementById('vmax').value) / 3.6, // Convert to m/s
+        leanAngle: parseFloat(document.getElementById('lean').value),
+        maxDeceleration: parseFloat(document.getElementById('braking').value),
+        CP: parseFloat(document.getElementById('cp').value),
+        wPrime: parseFloat(document.getElementById('wprime').value) * 1000, // kJ to J
+        wind: {
+            speed: parseFloat(document.getElementById('wind-speed').value) / 3.6, // Convert to m/s
+            direction: parseFloat(document.getElementById('wind-direction').value),
+            profile: windProfile
+        },
+        tire: {
+            width: parseFloat(document.getElementById('tire-width').value), // mm
+            pressure: parseFloat(document.getElementById('tire-pressure').value), // bar
+            crr: parseFloat(document.getElementById('tire-crr').value) // on asphalt at 28 mm
+        },
+        air: {
+            temperature: parseFloat(document.getElementById('temperature').value), // °C
+            humidity: parseFloat(document.getElementById('humidity').value), // %
+            pressure: parseFloat(document.getElementById('pressure').value), // hPa at sea level
+            useElevation: true,
+            compareSeaLevel: document.getElementById('compare-sea-level').checked
+        },
+        preprocessing: getPreprocessOptions(),
+        pacing: getPacingOptions(),
+        group: getGroupOptions(),
+        surfaceIndex: surfaceIndex,
+        surfacePaint: surfacePaint,
+        stops: stops,
+        slowZones: slowZones,
+        startTime: getStartTime(),
+        nutrition: getNutritionOptions(),
+        drivetrain: getDrivetrainOptions()
+    });
+}
+
+// Chainrings, cassette, wheel and cadences from the Gearing section
+function getDrivetrainOptions() {
+    const teeth = id => document.getElementById(id).value.split(/[^\d]+/).filter(Boolean).map(Number);
+    return {
+        chainrings: teeth('chainrings'),
+        cassette: teeth('cassette'),
+        wheelCircumference: parseFloat(document.getElementById('wheel-circumference').value) / 1000, // mm to m
+        preferredCadence: parseFloat(document.getElementById('cadence-preferred').value),
+        minCadence: parseFloat(document.getElementById('cadence-min').value),
+        maxCadence: parseFloat(document.getElementById('cadence-max').value)
+    };
+}
+
+// Gross efficiency and fuelling from the Nutrition section; no carbohydrate rate follows the guidelines
+function getNutritionOptions() {
+    const carbsPerHour = parseFloat(document.getElementById('carbs-per-hour').value);
+    return {
+        efficiency: parseFloat(document.getElementById('efficiency').value) / 100,
+        carbsPerHour: isNaN(carbsPerHour) ? null : carbsPerHour, // g/h
+        fluidPerHour: parseFloat(document.getElementById('fluid-per-hour').value), // ml/h at 20 °C
+        intakeInterval: parseFloat(document.getElementById('intake-interval').value) * 60 // min to s
+    };
+}
+
+// The current parameters with a saved profile's rider and bike in place of the sidebar's
+function getProfileParams(params, profile) {
+    const values = profile.values;
+    return {
+        ...params,
+        mass: values['rider-weight'] + values['bike-weight'],
+        CdA: values.cda,
+        Pmax: values.pmax,
+        Vmax_ms: values.vmax / 3.6, // Convert to m/s
+        CP: values.cp,
+        wPrime: values.wprime * 1000, // kJ to J
+        tire: {
+            width: values['tire-width'],
+            pressure: values['tire-pressure'],
+            crr: values['tire-crr']
+        }
+    };
+}
+
+// Read the pacing options from the sidebar
+function getPacingOptions() {
+    return {
+        strategy: document.getElementById('pacing-strategy').value,
+        gradeGain: parseFloat(document.getElementById('pacing-grade-gain').value) / 100,
+        ftp: parseFloat(document.getElementById('pacing-ftp').value),
+        targetIF: parseFloat(document.getElementById('pacing-if').value),
+        descentThreshold: parseFloat(document.getElementById('pacing-descent').value),
+        softPedalPower: parseFloat(document.getElementById('pacing-soft-power').value)
+    };
+}
+
+// Read the group riding options from the sidebar and the team panel
+function getGroupOptions() {
+    return {
+        mode: document.getElementById('group-mode').value,
+        position: parseInt(document.getElementById('paceline-position').value),
+        rotation: parseFloat(document.getElementById('rotation-length').value), // s on the front
+        riders: teamRiders
+    };
 }
 
 // Run the simulation
 function runSimulation() {
     if (!gpxData) return;
     
-    // Get parameters
-    const mass = parseFloat(document.getElementById('weight').value);
-    const CdA = parseFloat(document.getElementById('cda').value);
-    const Pmax = parseFloat(document.getElementById('pmax').value);
-    const Vmax_kmh = parseFloat(document.getElementById('vmax').value);
-    const Vmax_ms = Vmax_kmh / 3.6; // Convert to m/s
-    
-    // Calculate segment data
-    const segments = calculateSegmentData(gpxData.points);
-    
-    if (segments.length === 0) {
-        alert('Not enough data points to simulate');
+    let simulation;
+    try {
+        simulation = simulate(gpxData.points, getSimulationParams());
+    } catch (error) {
+        alert(error.message);
         return;
     }
     
-    // Calculate speed and power for each segment
-    let totalTime = 0;
-    const simulationData = [];
-    let cumulativeElevationGain = 0;
-    let previousElevation = gpxData.points[0].ele;
-    
-    // Add starting point
-    simulationData.push({
-        distance: 0,
-        elevation: gpxData.points[0].ele,
-        speed: 0,
-        power: 0,
-        time: 0,
-        grade: 0,
-        elevationGain: 0
-    });
+    const { params, points, segments, speedLimits } = simulation;
+    const pacing = params.pacing;
+    displayPreprocessSummary(gpxData.points, points);
+    fuelingPlan = simulation.fueling;
+    gearingAnalysis = { ...simulation.gearing, drivetrain: params.drivetrain };
+    powerRider = params.group.mode === 'ttt' ? params.group.riders[0].name : null;
     
-    for (let i = 0; i < segments.length; i++) {
-        const segment = segments[i];
-        const speed_ms = calculateSpeed(segment.grade, mass, CdA, Pmax, Vmax_ms);
-        const speed_kmh = speed_ms * 3.6;
-        
-        // Calculate time for this segment
-        const time = segment.distance / speed_ms;
-        totalTime += time;
-        
-        // Calculate cumulative elevation gain (only positive changes)
-        const elevationChange = segment.elevation - previousElevation;
-        if (elevationChange > 0) {
-            cumulativeElevationGain += elevationChange;
-        }
-        previousElevation = segment.elevation;
-        
-        // Calculate actual power output
-        // - If at Vmax: we're speed-limited, output only what's needed (can be less than Pmax)
-        // - If below Vmax: we're power-limited, always output Pmax
-        let power;
-        if (speed_ms >= Vmax_ms - 0.01) {
-            // Speed-limited: at Vmax, only use power needed to maintain it
-            const powerNeeded = calculatePowerNeeded(speed_ms, segment.grade, mass, CdA);
-            power = Math.max(0, powerNeeded);
-        } else {
-            // Power-limited: using full power but can't reach Vmax
-            power = Pmax;
-        }
-        
-        simulationData.push({
-            distance: segment.cumulativeDistance,
-            elevation: segment.elevation,
-            speed: speed_kmh,
-            power: power,
-            time: totalTime,
-            grade: segment.grade * 100, // Convert to percentage
-            lat: segment.lat,
-            lon: segment.lon,
-            elevationGain: cumulativeElevationGain
-        });
+    if (params.group.mode === 'ttt') {
+        runTeamSimulation(simulation);
+        return;
     }
     
+    // The selected strategy drives the results; with the comparison table open every other
+    // one rides the route too
+    const compareStrategies = document.getElementById('compare-strategies').checked;
+    const pacingResults = pacingStrategies
+        .filter(strategy => compareStrategies || strategy.id === simulation.strategy)
+        .map(strategy => strategy.id === simulation.strategy ? {
+            strategy: strategy.id,
+            ride: simulation.ride,
+            avgPower: calculateAveragePower(simulation.ride.segments),
+            normalizedPower: calculateNormalizedPower(simulation.ride.segments)
+        } : simulatePacing(strategy.id, segments, speedLimits, params, pacing));
+    const selected = pacingResults.find(result => result.strategy === simulation.strategy);
+    
+    const simulationData = simulation.data;
+    
     // Calculate averages
+    const totalTime = selected.ride.totalTime;
     const totalDistance = segments[segments.length - 1].cumulativeDistance;
     const avgSpeed = totalDistance / totalTime * 3.6; // km/h
-    
-    // Calculate average power (weighted by time)
-    let totalPower = 0;
-    for (let i = 1; i < simulationData.length; i++) {
-        const timeDiff = simulationData[i].time - simulationData[i - 1].time;
-        totalPower += simulationData[i].power * timeDiff;
+    const avgPower = selected.avgPower;
+    
+    // Power series of the other strategies for the Power Output chart
+    const overlays = pacingResults
+        .filter(result => result !== selected)
+        .map(result => ({
+            chart: 'power',
+            label: `${pacingStrategyName(result.strategy)} (W)`,
+            values: [0, ...result.ride.segments.map(segment => segment.power)],
+            hidden: true
+        }));
+    
+    // Optimised plan next to the constant-Pmax baseline
+    if (optimalPlan && optimalPlan.ride.segments.length === segments.length) {
+        overlays.push({
+            chart: 'power',
+            label: 'Optimal plan (W)',
+            values: [0, ...optimalPlan.ride.segments.map(segment => segment.power)],
+            color: '#dc2626'
+        });
+        overlays.push({
+            chart: 'speed',
+            label: 'Optimal plan (km/h)',
+            values: [0, ...optimalPlan.ride.segments.map((segment, i) => segments[i].distance / segment.time * 3.6)],
+            color: '#dc2626'
+        });
+        overlays.push({
+            chart: 'wPrime',
+            label: 'Optimal plan (kJ)',
+            values: [params.wPrime / 1000, ...optimalPlan.ride.segments.map(segment => segment.wPrimeBalance / 1000)],
+            color: '#dc2626'
+        });
     }
-    const avgPower = totalPower / totalTime;
+    
+    // Saved profiles ride the same route with the same strategy
+    profileRuns = comparisonProfiles.map(profile => {
+        const profileParams = getProfileParams(params, profile);
+        const profileLimits = calculateSpeedLimits(segments, profileParams.Vmax_ms, params.leanAngle, params.maxDeceleration);
+        const result = simulatePacing(selected.strategy, segments, profileLimits, profileParams, pacing);
+        
+        let elapsed = 0;
+        const times = [0, ...result.ride.segments.map(segment => elapsed += segment.time)];
+        const powers = [0, ...result.ride.segments.map(segment => segment.power)];
+        
+        overlays.push(
+            { chart: 'speed', label: `${profile.name} (km/h)`, color: profile.color,
+                values: [0, ...result.ride.segments.map((segment, i) => segments[i].distance / segment.time * 3.6)] },
+            { chart: 'power', label: `${profile.name} (W)`, color: profile.color, values: powers },
+            { chart: 'wPrime', label: `${profile.name} (kJ)`, color: profile.color,
+                values: [profileParams.wPrime / 1000, ...result.ride.segments.map(segment => segment.wPrimeBalance / 1000)] },
+            { chart: 'progress', label: `${profile.name} (km)`, color: profile.color, values: times },
+            { chart: 'gap', label: profile.name, color: profile.color,
+                values: times.map((time, i) => (time - simulationData[i].time) / 60) }
+        );
+        return { profile: profile, times: times, powers: powers };
+    });
     
     // Display results
-    displayResults(simulationData, totalTime, totalDistance, avgSpeed, avgPower);
+    displayResults(simulationData, totalTime, totalDistance, avgSpeed, avgPower, overlays);
+    displayPacingComparison(pacingResults, selected.strategy);
 }
 
-// Display results
-function displayResults(data, totalTime, totalDistance, avgSpeed, avgPower) {
-    // Store data globally for interaction
-    simulationDataGlobal = data;
-    selectedRange = null; // Reset selection
-    
-    // Show results sections
-    resultsDiv.style.display = 'block';
-    const sidebarResults = document.getElementById('sidebar-results');
-    if (sidebarResults) {
-        sidebarResults.style.display = 'block';
-    }
-    
-    // Update summary cards
-    updateSummaryCards(data);
-    
-    // Display map
-    displayMap(data);
+// Team time trial: the team's ride drives the charts. The main power series, work and cadence
+// are the first rider's; the others get a power series each.
+function runTeamSimulation(simulation) {
+    profileRuns = [];
+    const { segments, ride, data: simulationData } = simulation;
+    const group = simulation.params.group;
+    
+    const totalTime = ride.totalTime;
+    const totalDistance = segments[segments.length - 1].cumulativeDistance;
+    const avgSpeed = totalDistance / totalTime * 3.6; // km/h
+    const avgPower = calculateAveragePower(ride.segments);
     
-    // Display charts
-    displayCharts(data);
+    const overlays = group.riders.slice(1).map((rider, r) => ({
+        chart: 'power',
+        label: `${rider.name} (W)`,
+        values: [0, ...ride.segments.map(segment => segment.riderPowers[r + 1])]
+    }));
     
-    // Scroll to results
-    resultsDiv.scrollIntoView({ behavior: 'smooth' });
+    displayResults(simulationData, totalTime, totalDistance, avgSpeed, avgPower, overlays);
+    displayTeamResults(ride, group);
 }
 
-// Update summary cards based on data range
-function updateSummaryCards(data, startIdx = 0, endIdx = null) {
-    if (!endIdx) endIdx = data.length - 1;
-    
-    const rangeData = data.slice(startIdx, endIdx + 1);
-    
-    // Calculate time and distance for range
-    const startTime = data[startIdx].time;
-    const endTime = data[endIdx].time;
-    const totalTime = endTime - startTime;
-    
-    const startDist = data[startIdx].distance;
-    const endDist = data[endIdx].distance;
-    const totalDistance = endDist - startDist;
-    
-    // Calculate averages
-    const avgSpeed = totalTime > 0 ? (totalDistance / totalTime) * 3.6 : 0;
+// Read the optimiser options from its panel
+function getOptimizerOptions() {
+    return {
+        constraint: document.getElementById('optimizer-constraint').value,
+        target: parseFloat(document.getElementById('optimizer-target').value),
+        ceiling: parseFloat(document.getElementById('optimizer-ceiling').value)
+    };
+}
+
+// The target applies to average power and NP; the W′ balance uses the rider's CP and W′
+function updateOptimizerInputs() {
+    const constraint = document.getElementById('optimizer-constraint').value;
+    document.getElementById('optimizer-target-option').style.display = constraint === 'w-prime' ? 'none' : '';
+}
+
+// Optimise the power plan, then re-run the simulation so the plan is drawn next to
+// the constant-Pmax baseline
+function runOptimizer() {
+    if (!gpxData) return;
     
-    let totalPower = 0;
-    for (let i = startIdx + 1; i <= endIdx; i++) {
-        const timeDiff = data[i].time - data[i - 1].time;
-        totalPower += data[i].power * timeDiff;
-    }
-    const avgPower = totalTime > 0 ? totalPower / totalTime : 0;
+    const params = getSimulationParams();
+    const options = getOptimizerOptions();
+    const { segments, speedLimits } = prepareRoute(gpxData.points, params);
+    if (segments.length === 0) return;
+    
+    const button = document.getElementById('optimize-pacing');
+    button.disabled = true;
+    button.textContent = 'Optimising…';
+    
+    // Let the button repaint before the solver blocks the page
+    setTimeout(() => {
+        try {
+            const plan = optimizePacing(segments, speedLimits, params, options);
+            optimalPlan = { ...plan, baselineTime: plan.baseline.totalTime };
+            displayOptimizerResults(optimalPlan);
+            runSimulation();
+        } catch (error) {
+            alert('Optimisation failed: ' + error.message);
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Optimise';
+        }
+    }, 10);
+}
+
+function displayOptimizerResults(plan) {
+    const saved = plan.baselineTime - plan.ride.totalTime;
+    document.getElementById('optimizer-time').textContent = formatDuration(plan.ride.totalTime);
+    document.getElementById('optimizer-baseline').textContent = formatDuration(plan.baselineTime);
+    document.getElementById('optimizer-saved').textContent = formatSignedDuration(-saved);
+    document.getElementById('optimizer-avg-power').textContent = `${plan.avgPower.toFixed(0)} W`;
+    document.getElementById('optimizer-np').textContent = `${plan.normalizedPower.toFixed(0)} W`;
+    document.getElementById('optimizer-w-prime').textContent = `${(plan.minWPrimeBalance / 1000).toFixed(1)} kJ`;
+    document.getElementById('optimizer-results').style.display = 'grid';
+}
+
+// Table comparing the finish time of every pacing strategy, while it is open
+function displayPacingComparison(pacingResults, selectedStrategy) {
+    const open = document.getElementById('compare-strategies').checked;
+    document.getElementById('pacing-table').style.display = open ? '' : 'none';
+    if (!open) return;
+    
+    const baseline = pacingResults.find(result => result.strategy === 'constant');
+    const tbody = document.getElementById('pacing-table-body');
+    
+    tbody.innerHTML = pacingResults.map(result => {
+        const delta = result.ride.totalTime - baseline.ride.totalTime;
+        const deltaText = result === baseline ? '—' : formatSignedDuration(delta);
+        const selectedClass = result.strategy === selectedStrategy ? ' class="selected"' : '';
+        return `<tr${selectedClass}>
+            <td>${pacingStrategyName(result.strategy)}</td>
+            <td>${formatDuration(result.ride.totalTime)}</td>
+            <td>${result.avgPower.toFixed(0)} W</td>
+            <td>${result.normalizedPower.toFixed(0)} W</td>
+            <td>${deltaText}</td>
+        </tr>`;
+    }).join('');
+}
+
+// Show the options of the selected group mode, and the team panel instead of the
+// pacing and profile comparisons for a team time trial. Team riders have no W′ model,
+// so its chart is hidden then.
+function updateGroupInputs() {
+    const mode = document.getElementById('group-mode').value;
+    document.getElementById('paceline-option').style.display = mode === 'paceline' ? '' : 'none';
+    document.getElementById('rotation-option').style.display = mode === 'ttt' ? '' : 'none';
+    document.getElementById('team-panel').style.display = mode === 'ttt' ? '' : 'none';
+    document.getElementById('pacing-panel').style.display = mode === 'ttt' ? 'none' : '';
+    document.getElementById('profile-panel').style.display = mode === 'ttt' ? 'none' : '';
+    document.getElementById('wprime-chart-container').style.display = mode === 'ttt' ? 'none' : '';
+}
+
+function renderTeamTable() {
+    document.getElementById('team-table-body').innerHTML = teamRiders.map((rider, i) => `
+        <tr>
+            <td><input type="text" data-index="${i}" data-field="name" value="${rider.name.replace(/"/g, '&quot;')}"></td>
+            <td><input type="number" data-index="${i}" data-field="mass" value="${rider.mass}" min="40" max="200" step="0.1"></td>
+            <td><input type="number" data-index="${i}" data-field="CdA" value="${rider.CdA}" min="0.1" max="1" step="0.01"></td>
+            <td><input type="number" data-index="${i}" data-field="Pmax" value="${rider.Pmax}" min="0" max="600" step="1"></td>
+            <td id="team-avg-power-${i}">--</td>
+            <td id="team-np-${i}">--</td>
+            <td id="team-front-${i}">--</td>
+            <td><button class="remove-rider" data-index="${i}" title="Remove rider"${teamRiders.length <= 2 ? ' disabled' : ''}>✕</button></td>
+        </tr>
+    `).join('');
+}
+
+function handleTeamTableInput(event) {
+    const { index, field } = event.target.dataset;
+    if (index === undefined) return;
+    
+    const value = field === 'name' ? event.target.value : parseFloat(event.target.value);
+    if (field !== 'name' && !(value > 0)) return;
+    teamRiders[index][field] = value;
+    autoSimulate();
+}
+
+function handleTeamTableClick(event) {
+    if (!event.target.classList.contains('remove-rider')) return;
+    teamRiders.splice(parseInt(event.target.dataset.index), 1);
+    renderTeamTable();
+    autoSimulate();
+}
+
+function addTeamRider() {
+    const last = teamRiders[teamRiders.length - 1];
+    teamRiders.push({ ...last, name: `Rider ${teamRiders.length + 1}` });
+    renderTeamTable();
+    autoSimulate();
+}
+
+// Per-rider average power, NP and share of time on the front, and a warning when
+// someone could not hold the pace
+function displayTeamResults(ride, group) {
+    group.riders.forEach((rider, r) => {
+        const riderSegments = ride.segments.map(segment => ({ power: segment.riderPowers[r], time: segment.time }));
+        const frontTime = ride.segments
+            .filter(segment => segment.front === r)
+            .reduce((sum, segment) => sum + segment.time, 0);
+        document.getElementById(`team-avg-power-${r}`).textContent = `${calculateAveragePower(riderSegments).toFixed(0)} W`;
+        document.getElementById(`team-np-${r}`).textContent = `${calculateNormalizedPower(riderSegments).toFixed(0)} W`;
+        document.getElementById(`team-front-${r}`).textContent = `${(frontTime / ride.totalTime * 100).toFixed(0)}%`;
+    });
+    document.getElementById('team-time').textContent = formatDuration(ride.totalTime);
+    
+    // Time a rider could not hold the pace even when the slowest of them set it
+    const short = group.riders.map((rider, r) => ({
+        name: rider.name,
+        time: ride.segments.filter(segment => segment.shortfall[r] > 0).reduce((sum, segment) => sum + segment.time, 0)
+    })).filter(rider => rider.time > 0);
+    const warning = document.getElementById('team-warning');
+    warning.style.display = short.length > 0 ? 'block' : 'none';
+    warning.textContent = `⚠️ Short of power for the team's pace: ` +
+        short.map(rider => `${rider.name} for ${formatDuration(rider.time)}`).join(', ');
+}
+
+// Save the sidebar's rider and bike as a profile to ride next to the current setup
+function saveProfile() {
+    const nameInput = document.getElementById('profile-name');
+    const usedColors = comparisonProfiles.map(profile => profile.color);
+    const color = profileColors.find(c => !usedColors.includes(c)) || profileColors[comparisonProfiles.length % profileColors.length];
+    
+    comparisonProfiles.push({
+        name: nameInput.value.trim() || `${getSelectedRider().name} / ${getSelectedBike().name}`,
+        color: color,
+        values: Object.fromEntries(profileFields.map(id => [id, parseFloat(document.getElementById(id).value)]))
+    });
+    nameInput.value = '';
+    
+    if (gpxData) runSimulation();
+}
+
+function handleProfileTableClick(event) {
+    if (!event.target.classList.contains('remove-profile')) return;
+    comparisonProfiles.splice(parseInt(event.target.dataset.index), 1);
+    if (gpxData) runSimulation();
+}
+
+// Summary of the current setup and each saved profile over the selected range, one column each
+function displayProfileComparison(data, startIdx, endIdx) {
+    const current = {
+        profile: {
+            name: 'Current setup',
+            values: Object.fromEntries(profileFields.map(id => [id, parseFloat(document.getElementById(id).value)]))
+        },
+        times: data.map(d => d.time),
+        powers: data.map(d => d.power)
+    };
+    const runs = [current, ...profileRuns];
+    const distance = data[endIdx].distance - data[startIdx].distance;
+    const currentTime = data[endIdx].time - data[startIdx].time;
+    
+    const columns = runs.map((run, r) => {
+        const time = run.times[endIdx] - run.times[startIdx];
+        let work = 0;
+        for (let i = startIdx + 1; i <= endIdx; i++) {
+            work += run.powers[i] * (run.times[i] - run.times[i - 1]);
+        }
+        const gap = time - currentTime;
+        const values = run.profile.values;
+        return {
+            header: r === 0 ? run.profile.name : `<span class="surface-swatch" style="background: ${run.profile.color}"></span>${escapeHtml(run.profile.name)}
+                <button class="remove-profile" data-index="${r - 1}" title="Remove profile">✕</button>`,
+            cells: [
+                formatDuration(time),
+                r === 0 ? '—' : `<span class="delta ${gap > 0 ? 'slower' : 'faster'}">${formatSignedDuration(gap)}</span>`,
+                `${(time > 0 ? distance / time * 3.6 : 0).toFixed(1)} km/h`,
+                `${(time > 0 ? work / time : 0).toFixed(0)} W`,
+                `${values['rider-weight']} + ${values['bike-weight']} kg`,
+                `${values.cda} m²`,
+                `${values.pmax} W`,
+                `${values.cp} W / ${values.wprime} kJ`,
+                `${values['tire-width']} mm @ ${values['tire-pressure']} bar, Crr ${values['tire-crr']}`
+            ]
+        };
+    });
+    
+    const rowLabels = ['Time', 'Gap', 'Avg Speed', 'Avg Power', 'Weight', 'CdA', 'Pmax', 'CP / W′', 'Tires'];
+    document.getElementById('profile-table-head').innerHTML =
+        `<tr><th></th>${columns.map(column => `<th>${column.header}</th>`).join('')}</tr>`;
+    document.getElementById('profile-table-body').innerHTML = rowLabels.map((label, row) =>
+        `<tr><td>${label}</td>${columns.map(column => `<td>${column.cells[row]}</td>`).join('')}</tr>`
+    ).join('');
+}
+
+// Table of the categorised climbs; clicking one selects it
+function displayClimbs(climbs) {
+    const tbody = document.getElementById('climb-table-body');
+    if (climbs.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8">No categorised climbs on this route</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = climbs.map(climb => `<tr class="climb-row" data-start="${climb.startIdx}" data-end="${climb.endIdx}" title="Select this climb">
+            <td><span class="climb-category cat-${climb.category.toLowerCase()}">${climb.category}</span></td>
+            <td>${(climb.startDistance / 1000).toFixed(1)} km</td>
+            <td>${(climb.length / 1000).toFixed(1)} km</td>
+            <td>${climb.avgGrade.toFixed(1)}% / ${climb.maxGrade.toFixed(1)}%</td>
+            <td>${climb.elevationGain.toFixed(0)} m</td>
+            <td>${formatDuration(climb.time)}</td>
+            <td>${climb.avgSpeed.toFixed(1)} km/h</td>
+            <td>${climb.vam.toFixed(0)} m/h</td>
+        </tr>`).join('');
+}
+
+// Stops in route order with their clock arrival and departure; name and dwell are editable
+function displayStops(scheduled) {
+    const tbody = document.getElementById('stop-table-body');
+    if (scheduled.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7">No stops: add them in the Stops &amp; Slow Zones section</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = scheduled.map(stop => `<tr>
+            <td><input type="text" data-index="${stop.id}" data-field="name" value="${escapeHtml(stop.name)}"></td>
+            <td>${(stop.distance / 1000).toFixed(1)} km</td>
+            <td>${formatStopTime(simulationDataGlobal, stop, 0)}</td>
+            <td><input type="number" data-index="${stop.id}" data-field="duration" value="${+(stop.duration / 60).toFixed(1)}" min="0" max="600" step="1"></td>
+            <td>${formatStopTime(simulationDataGlobal, stop, stop.departure - stop.arrival)}</td>
+            <td>${formatDuration(simulationDataGlobal[stop.index].time)}</td>
+            <td><button class="remove-stop" data-index="${stop.id}" title="Remove stop">✕</button></td>
+        </tr>`).join('');
+}
+
+function handleStopTableInput(event) {
+    const { index, field } = event.target.dataset;
+    if (index === undefined) return;
+    
+    if (field === 'name') {
+        stops[index].name = event.target.value;
+    } else {
+        const minutes = parseFloat(event.target.value);
+        if (!(minutes >= 0)) return;
+        stops[index].duration = minutes * 60;
+    }
+    autoSimulate();
+}
+
+function handleStopTableClick(event) {
+    if (!event.target.classList.contains('remove-stop')) return;
+    stops.splice(parseInt(event.target.dataset.index), 1);
+    updateStopStatus();
+    autoSimulate();
+}
+
+// Clock times along the ride with the sun times at the start and finish and a warning for
+// the stretches ridden in darkness
+function displaySchedule() {
+    const data = simulationDataGlobal;
+    if (!data) return;
+    
+    const interval = parseFloat(document.getElementById('eta-interval').value) * 1000;
+    routeSchedule = buildSchedule(data, {
+        interval: interval > 0 ? interval : 0,
+        waypoints: routeWaypoints,
+        climbs: routeClimbs,
+        stops: routeStops
+    });
+    document.getElementById('schedule-table-body').innerHTML = routeSchedule.map(entry => `<tr class="schedule-${entry.type}${entry.dark ? ' dark' : ''}">
+            <td>${escapeHtml(entry.name)}</td>
+            <td>${(entry.distance / 1000).toFixed(1)} km</td>
+            <td>${entry.elevation.toFixed(0)} m</td>
+            <td>${formatDuration(entry.elapsedTime)}</td>
+            <td>${entry.eta !== null ? formatDateTime(entry.eta) : '--'}</td>
+            <td>${entry.dark ? '<span title="After sunset or before sunrise">🌙</span>' : ''}</td>
+        </tr>`).join('');
+    
+    const sunTimes = document.getElementById('sun-times');
+    const warning = document.getElementById('darkness-warning');
+    const start = data[0];
+    const finish = data[data.length - 1];
+    if (start.eta === null) {
+        sunTimes.textContent = 'Set a start date and time for clock times, sunrise and sunset';
+        warning.style.display = 'none';
+        return;
+    }
+    
+    const describeSun = (label, row) => {
+        const sun = calculateSunTimes(row.eta, row.lat, row.lon);
+        if (sun.polar) return `${label}: ${sun.polar === 'day' ? 'midnight sun' : 'polar night'}`;
+        return `${label}: sunrise ${formatDateTime(sun.sunrise).slice(11)}, sunset ${formatDateTime(sun.sunset).slice(11)}`;
+    };
+    sunTimes.textContent = `${describeSun('Start', start)} · ${describeSun('Finish', finish)}`;
+    
+    const dark = findDarkRanges(data);
+    const darkDistance = dark.reduce((sum, range) => sum + range.to - range.from, 0);
+    warning.style.display = dark.length > 0 ? 'block' : 'none';
+    warning.textContent = `⚠️ ${(darkDistance / 1000).toFixed(1)} km of the ride is in darkness: ` + dark.map(range =>
+        `${(range.from / 1000).toFixed(1)}–${(range.to / 1000).toFixed(1)} km ` +
+        `(${formatDateTime(data[range.startIdx].eta).slice(11)}–${formatDateTime(data[range.endIdx].eta).slice(11)})`
+    ).join(', ');
+}
+
+function handleScheduleClick(event) {
+    const action = event.target.dataset.action;
+    if (!action || routeSchedule.length === 0) return;
+    
+    if (action === 'print') {
+        // The print stylesheet shows only the schedule while this class is set
+        document.body.classList.add('print-schedule');
+        window.addEventListener('afterprint', () => document.body.classList.remove('print-schedule'), { once: true });
+        window.print();
+    } else {
+        const name = (document.getElementById('export-name').value.trim() || 'Simulated ride').replace(/[^\w-]+/g, '-');
+        downloadFile(`${name}-schedule.csv`, buildScheduleCSV(routeSchedule), 'text/csv');
+    }
+}
+
+// Gear usage histogram, the stretches pedalled outside the cadence range and the gearing
+// that would keep them in it
+function displayGearing(gearing) {
+    const { drivetrain, lowGear, highGear } = gearing;
+    const smallestRing = Math.min(...drivetrain.chainrings);
+    const largestRing = Math.max(...drivetrain.chainrings);
+    const smallestCog = Math.min(...drivetrain.cassette);
+    const largestCog = Math.max(...drivetrain.cassette);
+    const length = stretches => (stretches.reduce((sum, s) => sum + s.to - s.from, 0) / 1000).toFixed(1);
+    
+    const advice = [];
+    if (lowGear) {
+        advice.push(`Below ${drivetrain.minCadence} rpm on ${length(gearing.lowCadence)} km even in ${smallestRing}×${largestCog}. ` +
+            `Holding ${drivetrain.minCadence} rpm at ${lowGear.speed.toFixed(1)} km/h takes a ${smallestRing}×${lowGear.cog}` +
+            (lowGear.chainring > 0 ? ` or a ${lowGear.chainring}×${largestCog}.` : '.'));
+    }
+    if (highGear) {
+        advice.push(`Spinning out above ${drivetrain.maxCadence} rpm on ${length(gearing.highCadence)} km in ${largestRing}×${smallestCog}. ` +
+            `Holding ${drivetrain.maxCadence} rpm at ${highGear.speed.toFixed(1)} km/h takes a ${highGear.chainring}×${smallestCog}` +
+            (highGear.cog > 0 ? ` or a ${largestRing}×${highGear.cog}.` : '.'));
+    }
+    if (advice.length === 0) {
+        advice.push(`The gearing keeps the cadence between ${drivetrain.minCadence} and ${drivetrain.maxCadence} rpm wherever the rider pedals.`);
+    }
+    advice.push(`Freewheeling: ${formatDuration(gearing.coastingTime)}.`);
+    document.getElementById('gearing-advice').textContent = advice.join(' ');
+    
+    const stretches = [...gearing.lowCadence.map(s => ({ ...s, low: true })), ...gearing.highCadence].sort((a, b) => a.from - b.from);
+    document.getElementById('cadence-table-body').innerHTML = stretches.length === 0
+        ? '<tr><td colspan="5">No stretches outside the cadence range</td></tr>'
+        : stretches.map(stretch => `<tr class="cadence-row" data-start="${stretch.startIdx}" data-end="${stretch.endIdx}" title="Select this stretch">
+            <td>${stretch.low ? 'Down to' : 'Up to'} ${stretch.cadence.toFixed(0)} rpm</td>
+            <td>${(stretch.from / 1000).toFixed(1)} km</td>
+            <td>${((stretch.to - stretch.from) / 1000).toFixed(2)} km</td>
+            <td>${stretch.speed.toFixed(1)} km/h</td>
+            <td>${formatDuration(stretch.time)}</td>
+        </tr>`).join('');
+    
+    displayGearChart(gearing);
+}
+
+// Minutes in each gear, lowest gear first, coloured by chainring
+function displayGearChart(gearing) {
+    if (gearChart) gearChart.destroy();
+    
+    const ringColors = ['#667eea', '#f59e0b', '#10b981'];
+    const rings = [...gearing.drivetrain.chainrings].sort((a, b) => a - b);
+    const ctx = document.getElementById('gear-chart').getContext('2d');
+    gearChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: gearing.gears.map(gear => `${gear.chainring}×${gear.cog}`),
+            datasets: [{
+                label: 'Time (min)',
+                data: gearing.gears.map(gear => (gear.time / 60).toFixed(1)),
+                backgroundColor: gearing.gears.map(gear => ringColors[rings.indexOf(gear.chainring) % ringColors.length])
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const gear = gearing.gears[context.dataIndex];
+                            return `${formatDuration(gear.time)}, ${(gear.distance / 1000).toFixed(1)} km (ratio ${gear.ratio.toFixed(2)})`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Gear (chainring × cog), lowest first',
+                        font: {
+                            size: 12,
+                            weight: 'bold'
+                        }
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Time (min)',
+                        font: {
+                            size: 14,
+                            weight: 'bold'
+                        }
+                    },
+                    beginAtZero: true
+                }
+            }
+        }
+    });
+}
+
+// Rates and totals of the fuelling plan with a row per intake
+function displayFueling(plan, data) {
+    const finish = data[data.length - 1];
+    document.getElementById('fueling-summary').innerHTML =
+        `<strong>${finish.work.toFixed(0)} kJ</strong> of work burns about <strong>${finish.energy.toFixed(0)} kcal</strong> ` +
+        `at ${(plan.efficiency * 100).toFixed(1)}% efficiency. Take in ${plan.carbsPerHour.toFixed(0)} g of carbohydrate ` +
+        `and ${plan.fluidPerHour.toFixed(0)} ml of fluid per hour: ${plan.carbs.toFixed(0)} g and ${(plan.fluid / 1000).toFixed(1)} L in all.`;
+    
+    const tbody = document.getElementById('fueling-table-body');
+    if (plan.intakes.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7">No intakes planned: the ride is shorter than the interval, or it is 0</td></tr>';
+        return;
+    }
+    const stopNames = new Map(routeStops.map(stop => [stop.index, stop.name]));
+    tbody.innerHTML = plan.intakes.map((intake, i) => `<tr>
+            <td>${i + 1}</td>
+            <td>${(intake.distance / 1000).toFixed(1)} km</td>
+            <td>${formatDuration(intake.elapsedTime)}</td>
+            <td>${intake.eta !== null ? formatDateTime(intake.eta).slice(11) : '--'}</td>
+            <td>${intake.carbs.toFixed(0)} g</td>
+            <td>${intake.fluid.toFixed(0)} ml</td>
+            <td>${intake.stop ? `Stop: ${escapeHtml(stopNames.get(intake.index) || '')}` : 'On the bike'}</td>
+        </tr>`).join('');
+}
+
+function handleClimbTableClick(event) {
+    selectTableRow(event.target.closest('.climb-row'));
+}
+
+function handleCadenceTableClick(event) {
+    selectTableRow(event.target.closest('.cadence-row'));
+}
+
+// Select the data range of a table row (data-start, data-end) on the cards, charts and map;
+// it is the only selected row of any table
+function selectTableRow(row) {
+    if (!row || !simulationDataGlobal) return;
+    
+    const startIdx = parseInt(row.dataset.start);
+    const endIdx = parseInt(row.dataset.end);
+    selectedRange = { start: startIdx, end: endIdx };
+    updateSummaryCards(simulationDataGlobal, startIdx, endIdx);
+    highlightSelectionOnCharts(startIdx, endIdx);
+    highlightSelectionOnMap(startIdx, endIdx);
+    
+    document.querySelectorAll(rangeRows).forEach(r => r.classList.toggle('selected', r === row));
+}
+
+// Display results
+function displayResults(data, totalTime, totalDistance, avgSpeed, avgPower, overlays = []) {
+    // Store data globally for interaction
+    simulationDataGlobal = data;
+    selectedRange = null; // Reset selection
+    
+    // Show results sections
+    resultsDiv.style.display = 'block';
+    const sidebarResults = document.getElementById('sidebar-results');
+    if (sidebarResults) {
+        sidebarResults.style.display = 'block';
+    }
+    
+    // Update summary cards
+    updateSummaryCards(data);
+    
+    routeWaypoints = placeWaypoints((gpxData && gpxData.waypoints) || [], data);
+    routeStops = scheduleStops(stops.map((stop, i) => ({ ...stop, id: i })), data);
+    
+    // Display map
+    displayMap(data);
+    
+    // Display charts
+    displayCharts(data, overlays);
     
-    // Update display
-    const hours = Math.floor(totalTime / 3600);
-    const minutes = Math.floor((totalTime % 3600) / 60);
-    const seconds = Math.floor(totalTime % 60);
+    routeClimbs = detectClimbs(data);
+    displayClimbs(routeClimbs);
+    displayStops(routeStops);
+    displaySchedule();
+    displayFueling(fuelingPlan, data);
+    displayGearing(gearingAnalysis);
+    
+    // Calibration needs a recorded ride with power
+    const canCalibrate = data.some(d => d.actualTime !== null && d.actualPower !== null);
+    document.getElementById('calibration-panel').style.display = canCalibrate ? 'block' : 'none';
+    
+    // Scroll to results
+    resultsDiv.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Update summary cards based on data range
+function updateSummaryCards(data, startIdx = 0, endIdx = null) {
+    if (!endIdx) endIdx = data.length - 1;
     
-    document.getElementById('total-time').textContent = 
-        `${hours}h ${minutes}m ${seconds}s`;
+    // Calculate time, distance and averages for range
+    const summary = summarizeRange(data, startIdx, endIdx);
+    const totalTime = summary.time;
+    const totalDistance = summary.distance;
+    const avgSpeed = summary.avgSpeed;
+    const avgPower = summary.avgPower;
+    const startDist = summary.startDistance;
+    const endDist = summary.endDistance;
+    
+    // Update display; with stops the time is the moving time, next to the elapsed time
+    document.getElementById('total-time').textContent = formatDuration(totalTime);
+    const hasStops = data[data.length - 1].elapsedTime > data[data.length - 1].time;
+    document.getElementById('total-time-label').textContent = hasStops ? 'Moving Time' : 'Total Time';
+    document.getElementById('elapsed-time').textContent = hasStops
+        ? `${formatDuration(summary.elapsedTime)} elapsed (${formatDuration(summary.stoppedTime)} stopped)`
+        : '';
     document.getElementById('total-distance').textContent = 
         `${(totalDistance / 1000).toFixed(2)} km`;
     document.getElementById('avg-speed').textContent = 
         `${avgSpeed.toFixed(1)} km/h`;
     document.getElementById('avg-power').textContent = 
         `${avgPower.toFixed(0)} W`;
+    document.getElementById('avg-power-label').textContent = powerRider ? `Avg Power (${powerRider})` : 'Avg Power';
+    document.getElementById('total-work-label').textContent = powerRider ? `Work (${powerRider})` : 'Work';
+    
+    // Energy, and the fuelling plan's carbohydrate and fluid over the range's elapsed time
+    document.getElementById('total-work').textContent = `${summary.work.toFixed(0)} kJ`;
+    document.getElementById('total-energy').textContent = `${summary.energy.toFixed(0)} kcal`;
+    const hours = summary.elapsedTime / 3600;
+    document.getElementById('fuel-carbs').textContent = `${(fuelingPlan.carbsPerHour * hours).toFixed(0)} g carbs`;
+    document.getElementById('fuel-fluid').textContent = `${(fuelingPlan.fluidPerHour * hours / 1000).toFixed(1)} L fluid`;
+    
+    // Time gained (negative) or lost to the air density compared with sea level, when ridden
+    const comparedSeaLevel = data[endIdx].seaLevelTime !== null;
+    document.getElementById('altitude-card').style.display = comparedSeaLevel ? '' : 'none';
+    if (comparedSeaLevel) {
+        const altitudeDelta = totalTime - (data[endIdx].seaLevelTime - data[startIdx].seaLevelTime);
+        const altitudeElement = document.getElementById('altitude-delta');
+        altitudeElement.textContent = `${formatSignedDuration(altitudeDelta)} vs sea-level air`;
+        altitudeElement.className = altitudeDelta > 0 ? 'delta slower' : 'delta faster';
+    }
+    
+    // Predicted vs. actual time for recorded rides
+    const actualCard = document.getElementById('actual-time-card');
+    const actualStart = data[startIdx].actualTime;
+    const actualEnd = data[endIdx].actualTime;
+    if (actualStart !== null && actualStart !== undefined && actualEnd !== null && actualEnd !== undefined) {
+        const actualTime = actualEnd - actualStart;
+        const delta = totalTime - actualTime;
+        document.getElementById('actual-time').textContent = formatDuration(actualTime);
+        const deltaElement = document.getElementById('time-delta');
+        deltaElement.textContent = `${formatSignedDuration(delta)} predicted`;
+        deltaElement.className = delta > 0 ? 'delta slower' : 'delta faster';
+        actualCard.style.display = 'block';
+    } else {
+        actualCard.style.display = 'none';
+    }
+    
+    displayProfileComparison(data, startIdx, endIdx);
+    document.getElementById('export-range').textContent = startIdx !== 0 || endIdx !== data.length - 1
+        ? `${(startDist / 1000).toFixed(1)}–${(endDist / 1000).toFixed(1)} km`
+        : 'the whole route';
     
     // Show/hide reset button and segment indicator
     const resetBtn = document.getElementById('reset-zoom');
@@ -466,6 +1865,69 @@ function updateSummaryCards(data, startIdx = 0, endIdx = null) {
     }
 }
 
+// Offer text content as a file download
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+const exportFormats = {
+    gpx: { build: buildGPX, extension: 'gpx', type: 'application/gpx+xml' },
+    tcx: { build: buildTCX, extension: 'tcx', type: 'application/vnd.garmin.tcx+xml' },
+    fit: { build: buildFitCourse, extension: 'fit', type: 'application/vnd.ant.fit' }
+};
+
+function handleExportClick(event) {
+    const format = event.target.dataset.format;
+    if (!format || !simulationDataGlobal) return;
+    
+    if (format === 'csv' || format === 'json') exportSimulationResults(format);
+    else exportSimulatedRide(exportFormats[format]);
+}
+
+// Download the simulated ride over the selected range (or the whole route), timed from the
+// planned start or, without one, from now
+function exportSimulatedRide(format) {
+    const start = selectedRange ? selectedRange.start : 0;
+    const end = selectedRange ? selectedRange.end : simulationDataGlobal.length - 1;
+    const rows = simulationDataGlobal.slice(start, end + 1);
+    if (rows.length < 2) return;
+    
+    const name = document.getElementById('export-name').value.trim() || 'Simulated ride';
+    const startTime = Math.floor((rows[0].eta !== null ? rows[0].eta : Date.now()) / 1000) * 1000;
+    const filename = `${name.replace(/[^\w-]+/g, '-')}.${format.extension}`;
+    downloadFile(filename, format.build(rows, startTime, name), format.type);
+}
+
+// Download every data row with the parameters, model constants and summaries of the
+// route and the selection
+function exportSimulationResults(format) {
+    const results = buildResultsExport(simulationDataGlobal, selectedRange, getExportParameters());
+    const name = (document.getElementById('export-name').value.trim() || 'Simulated ride').replace(/[^\w-]+/g, '-');
+    if (format === 'csv') {
+        downloadFile(`${name}.csv`, buildResultsCSV(results), 'text/csv');
+    } else {
+        downloadFile(`${name}.json`, JSON.stringify(results, null, 2), 'application/json');
+    }
+}
+
+// The inputs of the current simulation
+function getExportParameters() {
+    // The spatial index is only a lookup over the loaded surface file
+    const { surfaceIndex, ...params } = getSimulationParams();
+    const group = params.group;
+    return {
+        ...params,
+        group: group.mode === 'ttt' ? group : { mode: group.mode, position: group.position }
+    };
+}
+
 // Display map using Leaflet
 function displayMap(data) {
     const mapElement = document.getElementById('map');
@@ -484,11 +1946,16 @@ function displayMap(data) {
         maxZoom: 19
     }).addTo(map);
     
-    // Create polyline from data points
+    // Create polyline from data points, one line per track segment so gaps are not drawn
     const latLngs = data.slice(1).map(point => [point.lat, point.lon]);
+    const segmentLatLngs = [[]];
+    data.slice(1).forEach((point, i) => {
+        if (point.gap && i > 0) segmentLatLngs.push([]);
+        segmentLatLngs[segmentLatLngs.length - 1].push(latLngs[i]);
+    });
     
     if (latLngs.length > 0) {
-        mapPolyline = L.polyline(latLngs, {
+        mapPolyline = L.polyline(segmentLatLngs, {
             color: '#667eea',
             weight: 4,
             opacity: 0.8
@@ -530,6 +1997,9 @@ function displayMap(data) {
             title: 'End'
         }).addTo(map).bindPopup('<strong>FINISH</strong><br>End of route');
         
+        addWaypointMarkers(routeWaypoints);
+        addStopMarkers(routeStops, data);
+        
         // Add mousemove event to polyline
         mapPolyline.on('mousemove', function(e) {
             const latlng = e.latlng;
@@ -543,6 +2013,30 @@ function displayMap(data) {
             hideHoverPoint();
         });
         
+        // Place a stop after "On Map"
+        mapPolyline.on('click', function(e) {
+            if (!addingStop) return;
+            const closestPoint = findClosestPoint(data, e.latlng.lat, e.latlng.lng);
+            if (closestPoint) addStopAt(closestPoint.index);
+        });
+        
+        // Route coloured by surface with its legend, under the other overlays
+        surfaceLayer = createSurfaceLayer(data).addTo(map);
+        surfaceLegend = createSurfaceLegend(data).addTo(map);
+        
+        // Braking zones overlay, toggled from the layer control
+        brakingLayer = createBrakingLayer(data).addTo(map);
+        windLayer = createWindLayer(data).addTo(map);
+        const slowZoneLayer = createSlowZoneLayer(data).addTo(map);
+        const fuelingLayer = createFuelingLayer(data).addTo(map);
+        L.control.layers(null, {
+            'Surface': surfaceLayer,
+            'Braking zones': brakingLayer,
+            'Slow zones': slowZoneLayer,
+            'Fuelling': fuelingLayer,
+            'Wind': windLayer
+        }, { collapsed: false }).addTo(map);
+        
         // Fit map to polyline bounds
         map.fitBounds(mapPolyline.getBounds());
         
@@ -551,6 +2045,187 @@ function displayMap(data) {
     }
 }
 
+// Waypoints of the GPX file, with the distance and simulated arrival of those on the route
+function addWaypointMarkers(waypoints) {
+    waypoints.forEach(waypoint => {
+        const onRoute = waypoint.index !== null;
+        const icon = L.divIcon({
+            className: 'custom-marker',
+            html: `<div class="waypoint-marker${onRoute ? '' : ' off-route'}"></div>`,
+            iconSize: [18, 18],
+            iconAnchor: [9, 9]
+        });
+        const arrival = onRoute
+            ? `${(waypoint.distance / 1000).toFixed(1)} km · arrival ${formatDuration(waypoint.elapsedTime)}` +
+                (waypoint.eta !== null ? ` (${formatDateTime(waypoint.eta)})` : '')
+            : `${(waypoint.offset / 1000).toFixed(1)} km off the route`;
+        const description = waypoint.description ? `<br>${escapeHtml(waypoint.description)}` : '';
+        
+        L.marker([waypoint.lat, waypoint.lon], { icon, title: waypoint.name })
+            .bindTooltip(escapeHtml(waypoint.name))
+            .bindPopup(`<strong>${escapeHtml(waypoint.name)}</strong><br>${arrival}${description}`)
+            .addTo(map);
+    });
+}
+
+// Stops numbered in route order, with their clock arrival, dwell and departure
+function addStopMarkers(scheduled, data) {
+    scheduled.forEach((stop, i) => {
+        const point = data[stop.index];
+        const icon = L.divIcon({
+            className: 'custom-marker',
+            html: `<div class="stop-marker">${i + 1}</div>`,
+            iconSize: [26, 26],
+            iconAnchor: [13, 13]
+        });
+        L.marker([point.lat, point.lon], { icon, title: stop.name })
+            .bindPopup(`<strong>${escapeHtml(stop.name)}</strong><br>${(stop.distance / 1000).toFixed(1)} km<br>` +
+                `Arrive ${formatStopTime(data, stop, 0)}, ${formatDuration(stop.duration)} stop, ` +
+                `leave ${formatStopTime(data, stop, stop.departure - stop.arrival)}`)
+            .addTo(map);
+    });
+}
+
+// Slow zones as dashed lines over the route
+function createSlowZoneLayer(data) {
+    const layer = L.layerGroup();
+    slowZones.forEach(zone => {
+        const latLngs = data.slice(1)
+            .filter(point => point.distance >= zone.from && point.distance <= zone.to)
+            .map(point => [point.lat, point.lon]);
+        if (latLngs.length < 2) return;
+        L.polyline(latLngs, {
+            color: '#f59e0b',
+            weight: 8,
+            opacity: 0.6,
+            dashArray: '8 8',
+            interactive: false
+        }).addTo(layer);
+    });
+    return layer;
+}
+
+// Intake points of the fuelling plan as small green dots
+function createFuelingLayer(data) {
+    const layer = L.layerGroup();
+    fuelingPlan.intakes.forEach((intake, i) => {
+        const point = data[intake.index];
+        L.circleMarker([point.lat, point.lon], {
+            radius: 5,
+            color: '#15803d',
+            weight: 2,
+            fillColor: '#4ade80',
+            fillOpacity: 1
+        }).bindTooltip(`Intake ${i + 1}: ${intake.carbs.toFixed(0)} g carbs, ${intake.fluid.toFixed(0)} ml`).addTo(layer);
+    });
+    return layer;
+}
+
+// Build a layer with one polyline per continuous run of braking segments
+function createBrakingLayer(data) {
+    const layer = L.layerGroup();
+    let run = null;
+    
+    for (let i = 1; i < data.length; i++) {
+        if (data[i].braking) {
+            if (!run) {
+                // Start the run at the previous point so the segment itself is drawn
+                const previous = data[i - 1];
+                run = previous.lat && previous.lon ? [[previous.lat, previous.lon]] : [];
+            }
+            run.push([data[i].lat, data[i].lon]);
+        } else if (run) {
+            if (run.length > 1) layer.addLayer(brakingPolyline(run));
+            run = null;
+        }
+    }
+    if (run && run.length > 1) layer.addLayer(brakingPolyline(run));
+    
+    return layer;
+}
+
+function brakingPolyline(latLngs) {
+    return L.polyline(latLngs, {
+        color: '#f97316',
+        weight: 6,
+        opacity: 0.9
+    }).bindTooltip('Braking');
+}
+
+// Route coloured by surface, one polyline per run of the same surface. Not interactive,
+// so hovering still reaches mapPolyline underneath.
+function createSurfaceLayer(data) {
+    const layer = L.layerGroup();
+    if (data.length < 2) return layer;
+    
+    // The first row is the start, without a position of its own
+    let run = [[data[1].lat, data[1].lon]];
+    let surface = data[1].surface;
+    
+    const flush = () => {
+        if (run.length > 1) {
+            L.polyline(run, {
+                color: getSurfaceType(surface).color,
+                weight: 4,
+                opacity: 0.9,
+                interactive: false
+            }).addTo(layer);
+        }
+    };
+    
+    for (let i = 2; i < data.length; i++) {
+        if (data[i].gap || data[i].surface !== surface) {
+            flush();
+            run = data[i].gap ? [] : [run[run.length - 1]];
+            surface = data[i].surface;
+        }
+        run.push([data[i].lat, data[i].lon]);
+    }
+    flush();
+    
+    return layer;
+}
+
+// Legend of the surfaces on this route, with their Crr
+function createSurfaceLegend(data) {
+    const legend = L.control({ position: 'bottomright' });
+    legend.onAdd = () => {
+        const div = L.DomUtil.create('div', 'surface-legend');
+        const crrBySurface = new Map();
+        data.slice(1).forEach(point => crrBySurface.set(point.surface, point.Crr));
+        div.innerHTML = surfaceTypes
+            .filter(surface => crrBySurface.has(surface.id))
+            .map(surface => `<div><span class="surface-swatch" style="background: ${surface.color}"></span>${surface.name} <small>Crr ${crrBySurface.get(surface.id).toFixed(4)}</small></div>`)
+            .join('');
+        return div;
+    };
+    return legend;
+}
+
+// Arrows along the route pointing where the wind blows, with its speed
+function createWindLayer(data) {
+    const layer = L.layerGroup();
+    let nextDistance = 0;
+    
+    for (let i = 1; i < data.length; i++) {
+        const point = data[i];
+        if (point.distance < nextDistance || point.windSpeed < 0.5) continue;
+        nextDistance = point.distance + windArrowSpacing;
+        
+        const icon = L.divIcon({
+            className: 'custom-marker',
+            html: `<div class="wind-arrow" style="transform: rotate(${point.windDirection + 90}deg)">➜</div>`,
+            iconSize: [24, 24],
+            iconAnchor: [12, 12]
+        });
+        L.marker([point.lat, point.lon], { icon, interactive: true })
+            .bindTooltip(`${point.windSpeed.toFixed(0)} km/h from ${point.windDirection.toFixed(0)}°`)
+            .addTo(layer);
+    }
+    
+    return layer;
+}
+
 // Enable rectangle selection on map
 function enableMapSelection() {
     let selectionRect = null;
@@ -739,7 +2414,6 @@ function highlightChartPoint(dataIndex) {
     });
 }
 
-
 // Downsample data for cleaner charts
 function downsampleData(data, maxPoints = 150) {
     if (data.length <= maxPoints) return data;
@@ -759,7 +2433,18 @@ function downsampleData(data, maxPoints = 150) {
             power: window.reduce((sum, p) => sum + p.power, 0) / window.length,
             grade: window.reduce((sum, p) => sum + (p.grade || 0), 0) / window.length,
             time: window.reduce((sum, p) => sum + (p.time || 0), 0) / window.length,
-            elevationGain: window.reduce((sum, p) => sum + (p.elevationGain || 0), 0) / window.length
+            elapsedTime: window.reduce((sum, p) => sum + (p.elapsedTime || 0), 0) / window.length,
+            eta: window[0].eta,
+            elevationGain: window.reduce((sum, p) => sum + (p.elevationGain || 0), 0) / window.length,
+            work: window.reduce((sum, p) => sum + p.work, 0) / window.length,
+            cadence: averageRecorded(window, 'cadence'),
+            wPrimeBalance: window.reduce((sum, p) => sum + p.wPrimeBalance, 0) / window.length,
+            rho: window.reduce((sum, p) => sum + p.rho, 0) / window.length,
+            headwind: window.reduce((sum, p) => sum + p.headwind, 0) / window.length,
+            crosswind: window.reduce((sum, p) => sum + p.crosswind, 0) / window.length,
+            actualTime: averageRecorded(window, 'actualTime'),
+            actualSpeed: averageRecorded(window, 'actualSpeed'),
+            actualPower: averageRecorded(window, 'actualPower')
         };
         
         downsampled.push(avg);
@@ -768,6 +2453,13 @@ function downsampleData(data, maxPoints = 150) {
     return downsampled;
 }
 
+// Average a recorded field over a window, ignoring points without it
+function averageRecorded(window, key) {
+    const values = window.filter(p => p[key] !== null && p[key] !== undefined);
+    if (values.length === 0) return null;
+    return values.reduce((sum, p) => sum + p[key], 0) / values.length;
+}
+
 // Highlight selection on all charts
 function highlightSelectionOnCharts(startIdx, endIdx) {
     const downsampledData = downsampleData(simulationDataGlobal);
@@ -792,9 +2484,7 @@ function highlightSelectionOnCharts(startIdx, endIdx) {
     Object.entries(charts).forEach(([key, chart]) => {
         if (chart) {
             // Remove existing selection dataset if any
-            if (chart.data.datasets.length > 1) {
-                chart.data.datasets.splice(1);
-            }
+            removeSelectionDatasets(chart);
             
             // Create selection highlight
             const selectionData = chart.data.datasets[0].data.map((_, idx) => {
@@ -806,6 +2496,7 @@ function highlightSelectionOnCharts(startIdx, endIdx) {
             
             chart.data.datasets.push({
                 label: 'Selected',
+                isSelection: true,
                 data: selectionData,
                 borderColor: '#ef4444',
                 backgroundColor: 'rgba(239, 68, 68, 0.3)',
@@ -821,18 +2512,22 @@ function highlightSelectionOnCharts(startIdx, endIdx) {
     });
 }
 
+// Remove the selection overlay, keeping the chart's own datasets (e.g. actual ride)
+function removeSelectionDatasets(chart) {
+    chart.data.datasets = chart.data.datasets.filter(dataset => !dataset.isSelection);
+}
+
 // Reset selection
 function resetChartZoom() {
     selectedRange = null;
     updateSummaryCards(simulationDataGlobal);
+    document.querySelectorAll(rangeRows).forEach(row => row.classList.remove('selected'));
     
     // Remove selection highlight from all charts
     Object.values(charts).forEach(chart => {
         if (chart) {
             // Remove selection dataset
-            if (chart.data.datasets.length > 1) {
-                chart.data.datasets.splice(1);
-            }
+            removeSelectionDatasets(chart);
             chart.resetZoom();
             chart.update();
         }
@@ -845,8 +2540,43 @@ function resetChartZoom() {
     }
 }
 
+// Waypoints as dashed vertical lines with their name and arrival, drawn on every chart at
+// the category indices in options.plugins.waypoints.markers [{index, label}]
+const waypointPlugin = {
+    id: 'waypoints',
+    afterDatasetsDraw(chart, args, options) {
+        const markers = options.markers || [];
+        if (markers.length === 0) return;
+        
+        const { ctx, chartArea, scales } = chart;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+        ctx.clip();
+        ctx.strokeStyle = '#7c3aed';
+        ctx.fillStyle = '#7c3aed';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.font = '11px sans-serif';
+        
+        markers.forEach((marker, i) => {
+            const x = scales.x.getPixelForValue(marker.index);
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            // Stagger the labels so neighbouring waypoints stay readable
+            ctx.fillText(marker.label, x + 4, chartArea.top + 12 + (i % 3) * 13);
+        });
+        ctx.restore();
+    }
+};
+Chart.register(waypointPlugin);
+
 // Display charts using Chart.js
-function displayCharts(data) {
+// overlays: extra series [{chart, label, values (one per data point), color, hidden}];
+// 'progress' overlays carry elapsed times and 'gap' overlays minutes
+function displayCharts(data, overlays = []) {
     // Downsample data for cleaner visualization
     const downsampledData = downsampleData(data);
     const distances = downsampledData.map(d => (d.distance / 1000).toFixed(1)); // km
@@ -877,6 +2607,17 @@ function displayCharts(data) {
         }
     };
     
+    // Waypoints on the route, at the nearest downsampled point
+    const waypointOptions = {
+        markers: routeWaypoints.filter(waypoint => waypoint.index !== null).map(waypoint => {
+            let index = 0;
+            downsampledData.forEach((d, i) => {
+                if (Math.abs(d.distance - waypoint.distance) < Math.abs(downsampledData[index].distance - waypoint.distance)) index = i;
+            });
+            return { index: index, label: `${waypoint.name} · ${formatDuration(waypoint.elapsedTime)}` };
+        })
+    };
+    
     // Chart selection handler
     let chartSelectionStart = null;
     let isChartSelecting = false;
@@ -913,9 +2654,18 @@ function displayCharts(data) {
                 },
                 tooltip: {
                     mode: 'index',
-                    intersect: false
+                    intersect: false,
+                    callbacks: {
+                        footer: function(items) {
+                            const point = downsampledData[items[0].dataIndex];
+                            const lines = [`Air density: ${point.rho.toFixed(3)} kg/m³`];
+                            if (point.eta !== null) lines.push(`ETA: ${formatDateTime(point.eta)}`);
+                            return lines;
+                        }
+                    }
                 },
-                zoom: zoomOptions
+                zoom: zoomOptions,
+                waypoints: waypointOptions
             },
             interaction: {
                 mode: 'nearest',
@@ -926,32 +2676,341 @@ function displayCharts(data) {
                 x: {
                     title: {
                         display: true,
-                        text: 'Distance (km) - Scroll to zoom, drag to pan, SHIFT+drag to select',
+                        text: 'Distance (km) - Scroll to zoom, drag to pan, SHIFT+drag to select',
+                        font: {
+                            size: 11,
+                            weight: 'bold'
+                        }
+                    },
+                    ticks: {
+                        maxTicksLimit: 12,
+                        font: {
+                            size: 12
+                        }
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Elevation (m)',
+                        font: {
+                            size: 14,
+                            weight: 'bold'
+                        }
+                    },
+                    ticks: {
+                        font: {
+                            size: 12
+                        }
+                    }
+                }
+            },
+            onHover: (event, activeElements) => {
+                if (activeElements.length > 0) {
+                    const index = activeElements[0].index;
+                    handleChartHover(index);
+                }
+            }
+        }
+    });
+    
+    // Slope chart
+    const slopeCtx = document.getElementById('slope-chart').getContext('2d');
+    charts.slope = new Chart(slopeCtx, {
+        type: 'line',
+        data: {
+            labels: distances,
+            datasets: [{
+                label: 'Grade (%)',
+                data: downsampledData.map(d => d.grade.toFixed(1)),
+                borderColor: '#8b5cf6',
+                backgroundColor: 'rgba(139, 92, 246, 0.1)',
+                fill: true,
+                tension: 0.4,
+                borderWidth: 2,
+                pointRadius: 0,
+                pointHoverRadius: 4
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: true,
+                    labels: {
+                        font: {
+                            size: 14
+                        }
+                    }
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            let label = context.dataset.label || '';
+                            if (label) {
+                                label += ': ';
+                            }
+                            label += context.parsed.y.toFixed(1) + '%';
+                            return label;
+                        }
+                    }
+                },
+                zoom: zoomOptions,
+                waypoints: waypointOptions
+            },
+            interaction: {
+                mode: 'nearest',
+                axis: 'x',
+                intersect: false
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Distance (km)',
+                        font: {
+                            size: 12,
+                            weight: 'bold'
+                        }
+                    },
+                    ticks: {
+                        maxTicksLimit: 12,
+                        font: {
+                            size: 12
+                        }
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Grade (%)',
+                        font: {
+                            size: 14,
+                            weight: 'bold'
+                        }
+                    },
+                    ticks: {
+                        font: {
+                            size: 12
+                        },
+                        callback: function(value) {
+                            return value + '%';
+                        }
+                    }
+                }
+            },
+            onHover: (event, activeElements) => {
+                if (activeElements.length > 0) {
+                    const index = activeElements[0].index;
+                    handleChartHover(index);
+                }
+            }
+        }
+    });
+    
+    // Speed chart
+    const speedCtx = document.getElementById('speed-chart').getContext('2d');
+    charts.speed = new Chart(speedCtx, {
+        type: 'line',
+        data: {
+            labels: distances,
+            datasets: [{
+                label: 'Speed (km/h)',
+                data: downsampledData.map(d => d.speed.toFixed(1)),
+                borderColor: '#667eea',
+                backgroundColor: 'rgba(102, 126, 234, 0.1)',
+                fill: true,
+                tension: 0.4,
+                borderWidth: 2,
+                pointRadius: 0,
+                pointHoverRadius: 4
+            }, ...recordedDatasets(
+                'Actual Speed (km/h)',
+                downsampledData.map(d => d.actualSpeed === null ? null : d.actualSpeed.toFixed(1)),
+                '#1e293b'
+            ), ...overlayDatasets(overlays, 'speed')]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: true,
+                    labels: {
+                        font: {
+                            size: 14
+                        }
+                    }
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false
+                },
+                zoom: zoomOptions,
+                waypoints: waypointOptions
+            },
+            interaction: {
+                mode: 'nearest',
+                axis: 'x',
+                intersect: false
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Distance (km)',
+                        font: {
+                            size: 12,
+                            weight: 'bold'
+                        }
+                    },
+                    ticks: {
+                        maxTicksLimit: 12,
+                        font: {
+                            size: 12
+                        }
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Speed (km/h)',
+                        font: {
+                            size: 14,
+                            weight: 'bold'
+                        }
+                    },
+                    beginAtZero: true,
+                    ticks: {
+                        font: {
+                            size: 12
+                        }
+                    }
+                }
+            },
+            onHover: (event, activeElements) => {
+                if (activeElements.length > 0) {
+                    const index = activeElements[0].index;
+                    handleChartHover(index);
+                }
+            }
+        }
+    });
+    
+    // Power chart
+    const powerCtx = document.getElementById('power-chart').getContext('2d');
+    charts.power = new Chart(powerCtx, {
+        type: 'line',
+        data: {
+            labels: distances,
+            datasets: [{
+                label: powerRider ? `${powerRider} (W)` : 'Power (W)',
+                data: downsampledData.map(d => d.power.toFixed(0)),
+                borderColor: '#f59e0b',
+                backgroundColor: 'rgba(245, 158, 11, 0.1)',
+                fill: true,
+                tension: 0.4,
+                borderWidth: 2,
+                pointRadius: 0,
+                pointHoverRadius: 4
+            }, {
+                label: 'Cumulative Work (kJ)',
+                data: downsampledData.map(d => d.work.toFixed(0)),
+                borderColor: '#15803d',
+                backgroundColor: 'transparent',
+                fill: false,
+                tension: 0,
+                borderWidth: 2,
+                pointRadius: 0,
+                pointHoverRadius: 4,
+                yAxisID: 'y2'
+            }, ...recordedDatasets(
+                'Actual Power (W)',
+                downsampledData.map(d => d.actualPower === null ? null : d.actualPower.toFixed(0)),
+                '#1e293b'
+            ), ...overlayDatasets(overlays, 'power')]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: true,
+                    labels: {
+                        font: {
+                            size: 14
+                        }
+                    }
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false
+                },
+                zoom: zoomOptions,
+                waypoints: waypointOptions
+            },
+            interaction: {
+                mode: 'nearest',
+                axis: 'x',
+                intersect: false
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Distance (km)',
+                        font: {
+                            size: 12,
+                            weight: 'bold'
+                        }
+                    },
+                    ticks: {
+                        maxTicksLimit: 12,
+                        font: {
+                            size: 12
+                        }
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Power (W)',
                         font: {
-                            size: 11,
+                            size: 14,
                             weight: 'bold'
                         }
                     },
+                    beginAtZero: true,
                     ticks: {
-                        maxTicksLimit: 12,
                         font: {
                             size: 12
                         }
                     }
                 },
-                y: {
+                y2: {
+                    type: 'linear',
+                    position: 'right',
                     title: {
                         display: true,
-                        text: 'Elevation (m)',
+                        text: 'Work (kJ)',
                         font: {
                             size: 14,
                             weight: 'bold'
-                        }
+                        },
+                        color: '#15803d'
                     },
+                    beginAtZero: true,
                     ticks: {
                         font: {
                             size: 12
-                        }
+                        },
+                        color: '#15803d'
+                    },
+                    grid: {
+                        drawOnChartArea: false
                     }
                 }
             },
@@ -964,22 +3023,44 @@ function displayCharts(data) {
         }
     });
     
-    // Slope chart
-    const slopeCtx = document.getElementById('slope-chart').getContext('2d');
-    charts.slope = new Chart(slopeCtx, {
+    // Cadence chart: gaps where the rider freewheels, with the cadence range dashed
+    const drivetrain = gearingAnalysis.drivetrain;
+    const cadenceCtx = document.getElementById('cadence-chart').getContext('2d');
+    charts.cadence = new Chart(cadenceCtx, {
         type: 'line',
         data: {
             labels: distances,
             datasets: [{
-                label: 'Grade (%)',
-                data: downsampledData.map(d => d.grade.toFixed(1)),
-                borderColor: '#8b5cf6',
-                backgroundColor: 'rgba(139, 92, 246, 0.1)',
-                fill: true,
+                label: 'Cadence (rpm)',
+                data: downsampledData.map(d => d.cadence === null ? null : d.cadence.toFixed(0)),
+                borderColor: '#0d9488',
+                backgroundColor: 'rgba(13, 148, 136, 0.1)',
+                fill: false,
+                spanGaps: false,
                 tension: 0.4,
                 borderWidth: 2,
                 pointRadius: 0,
                 pointHoverRadius: 4
+            }, {
+                label: `Min (${drivetrain.minCadence} rpm)`,
+                data: downsampledData.map(() => drivetrain.minCadence),
+                borderColor: '#ef4444',
+                backgroundColor: 'transparent',
+                borderDash: [4, 4],
+                fill: false,
+                borderWidth: 1.5,
+                pointRadius: 0,
+                pointHoverRadius: 0
+            }, {
+                label: `Max (${drivetrain.maxCadence} rpm)`,
+                data: downsampledData.map(() => drivetrain.maxCadence),
+                borderColor: '#f59e0b',
+                backgroundColor: 'transparent',
+                borderDash: [4, 4],
+                fill: false,
+                borderWidth: 1.5,
+                pointRadius: 0,
+                pointHoverRadius: 0
             }]
         },
         options: {
@@ -996,19 +3077,10 @@ function displayCharts(data) {
                 },
                 tooltip: {
                     mode: 'index',
-                    intersect: false,
-                    callbacks: {
-                        label: function(context) {
-                            let label = context.dataset.label || '';
-                            if (label) {
-                                label += ': ';
-                            }
-                            label += context.parsed.y.toFixed(1) + '%';
-                            return label;
-                        }
-                    }
+                    intersect: false
                 },
-                zoom: zoomOptions
+                zoom: zoomOptions,
+                waypoints: waypointOptions
             },
             interaction: {
                 mode: 'nearest',
@@ -1035,18 +3107,16 @@ function displayCharts(data) {
                 y: {
                     title: {
                         display: true,
-                        text: 'Grade (%)',
+                        text: 'Cadence (rpm)',
                         font: {
                             size: 14,
                             weight: 'bold'
                         }
                     },
+                    beginAtZero: true,
                     ticks: {
                         font: {
                             size: 12
-                        },
-                        callback: function(value) {
-                            return value + '%';
                         }
                     }
                 }
@@ -1060,23 +3130,23 @@ function displayCharts(data) {
         }
     });
     
-    // Speed chart
-    const speedCtx = document.getElementById('speed-chart').getContext('2d');
-    charts.speed = new Chart(speedCtx, {
+    // W′ balance chart
+    const wPrimeCtx = document.getElementById('wprime-chart').getContext('2d');
+    charts.wPrime = new Chart(wPrimeCtx, {
         type: 'line',
         data: {
             labels: distances,
             datasets: [{
-                label: 'Speed (km/h)',
-                data: downsampledData.map(d => d.speed.toFixed(1)),
-                borderColor: '#667eea',
-                backgroundColor: 'rgba(102, 126, 234, 0.1)',
+                label: 'W′ Balance (kJ)',
+                data: downsampledData.map(d => d.wPrimeBalance.toFixed(1)),
+                borderColor: '#8b5cf6',
+                backgroundColor: 'rgba(139, 92, 246, 0.1)',
                 fill: true,
                 tension: 0.4,
                 borderWidth: 2,
                 pointRadius: 0,
                 pointHoverRadius: 4
-            }]
+            }, ...overlayDatasets(overlays, 'wPrime')]
         },
         options: {
             responsive: true,
@@ -1094,7 +3164,8 @@ function displayCharts(data) {
                     mode: 'index',
                     intersect: false
                 },
-                zoom: zoomOptions
+                zoom: zoomOptions,
+                waypoints: waypointOptions
             },
             interaction: {
                 mode: 'nearest',
@@ -1121,7 +3192,7 @@ function displayCharts(data) {
                 y: {
                     title: {
                         display: true,
-                        text: 'Speed (km/h)',
+                        text: 'W′ Balance (kJ)',
                         font: {
                             size: 14,
                             weight: 'bold'
@@ -1144,22 +3215,33 @@ function displayCharts(data) {
         }
     });
     
-    // Power chart
-    const powerCtx = document.getElementById('power-chart').getContext('2d');
-    charts.power = new Chart(powerCtx, {
+    // Wind chart: the components along and across the direction of travel
+    const windCtx = document.getElementById('wind-chart').getContext('2d');
+    charts.wind = new Chart(windCtx, {
         type: 'line',
         data: {
             labels: distances,
             datasets: [{
-                label: 'Power (W)',
-                data: downsampledData.map(d => d.power.toFixed(0)),
-                borderColor: '#f59e0b',
-                backgroundColor: 'rgba(245, 158, 11, 0.1)',
-                fill: true,
+                label: 'Headwind (km/h)',
+                data: downsampledData.map(d => d.headwind.toFixed(1)),
+                borderColor: '#0ea5e9',
+                backgroundColor: 'rgba(14, 165, 233, 0.1)',
+                fill: 'origin',
                 tension: 0.4,
                 borderWidth: 2,
                 pointRadius: 0,
                 pointHoverRadius: 4
+            }, {
+                label: 'Crosswind from the right (km/h)',
+                data: downsampledData.map(d => d.crosswind.toFixed(1)),
+                borderColor: '#94a3b8',
+                backgroundColor: 'transparent',
+                borderDash: [4, 4],
+                fill: false,
+                tension: 0.4,
+                borderWidth: 1.5,
+                pointRadius: 0,
+                pointHoverRadius: 4
             }]
         },
         options: {
@@ -1178,7 +3260,8 @@ function displayCharts(data) {
                     mode: 'index',
                     intersect: false
                 },
-                zoom: zoomOptions
+                zoom: zoomOptions,
+                waypoints: waypointOptions
             },
             interaction: {
                 mode: 'nearest',
@@ -1205,13 +3288,12 @@ function displayCharts(data) {
                 y: {
                     title: {
                         display: true,
-                        text: 'Power (W)',
+                        text: 'Wind (km/h)',
                         font: {
                             size: 14,
                             weight: 'bold'
                         }
                     },
-                    beginAtZero: true,
                     ticks: {
                         font: {
                             size: 12
@@ -1235,6 +3317,38 @@ function displayCharts(data) {
         return `${hours}h${minutes.toString().padStart(2, '0')}`;
     });
     
+    const recordedPoints = data.filter(d => d.actualTime !== null && d.actualTime !== undefined);
+    
+    // With stops, the moving and elapsed time drift apart along the route
+    const hasStops = data[data.length - 1].elapsedTime > data[data.length - 1].time;
+    const stopTimeDatasets = !hasStops ? [] : [
+        {
+            label: 'Moving Time (h)',
+            data: downsampledData.map(d => (d.time / 3600).toFixed(3)),
+            borderColor: '#64748b',
+            backgroundColor: 'transparent',
+            fill: false,
+            tension: 0.4,
+            borderWidth: 1.5,
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            yAxisID: 'y2'
+        },
+        {
+            label: 'Elapsed Time (h)',
+            data: downsampledData.map(d => (d.elapsedTime / 3600).toFixed(3)),
+            borderColor: '#0f766e',
+            backgroundColor: 'transparent',
+            fill: false,
+            tension: 0,
+            borderWidth: 2,
+            borderDash: [6, 4],
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            yAxisID: 'y2'
+        }
+    ];
+    
     const progressCtx = document.getElementById('progress-chart').getContext('2d');
     charts.progress = new Chart(progressCtx, {
         type: 'line',
@@ -1264,7 +3378,18 @@ function displayCharts(data) {
                     pointRadius: 0,
                     pointHoverRadius: 4,
                     yAxisID: 'y1'
-                }
+                },
+                ...recordedDatasets(
+                    'Actual Distance (km)',
+                    downsampledData.map(d => {
+                        const distance = recordedDistanceAt(recordedPoints, d.time);
+                        return distance === null ? null : (distance / 1000).toFixed(2);
+                    }),
+                    '#1e293b',
+                    'y'
+                ),
+                ...progressOverlayDatasets(overlays, data, downsampledData),
+                ...stopTimeDatasets
             ]
         },
         options: {
@@ -1288,8 +3413,10 @@ function displayCharts(data) {
                             if (label) {
                                 label += ': ';
                             }
-                            if (context.datasetIndex === 0) {
+                            if (context.dataset.yAxisID === 'y') {
                                 label += context.parsed.y.toFixed(1) + ' km';
+                            } else if (context.dataset.yAxisID === 'y2') {
+                                label += formatDuration(context.parsed.y * 3600);
                             } else {
                                 label += context.parsed.y.toFixed(0) + ' m';
                             }
@@ -1297,7 +3424,8 @@ function displayCharts(data) {
                         }
                     }
                 },
-                zoom: zoomOptions
+                zoom: zoomOptions,
+                waypoints: waypointOptions
             },
             interaction: {
                 mode: 'nearest',
@@ -1308,7 +3436,7 @@ function displayCharts(data) {
                 x: {
                     title: {
                         display: true,
-                        text: 'Elapsed Time',
+                        text: hasStops ? 'Moving Time' : 'Elapsed Time',
                         font: {
                             size: 12,
                             weight: 'bold'
@@ -1365,6 +3493,30 @@ function displayCharts(data) {
                     grid: {
                         drawOnChartArea: false
                     }
+                },
+                y2: {
+                    type: 'linear',
+                    display: hasStops,
+                    position: 'right',
+                    title: {
+                        display: true,
+                        text: 'Time (h)',
+                        font: {
+                            size: 14,
+                            weight: 'bold'
+                        },
+                        color: '#0f766e'
+                    },
+                    beginAtZero: true,
+                    ticks: {
+                        font: {
+                            size: 12
+                        },
+                        color: '#0f766e'
+                    },
+                    grid: {
+                        drawOnChartArea: false
+                    }
                 }
             },
             onHover: (event, activeElements) => {
@@ -1376,10 +3528,209 @@ function displayCharts(data) {
         }
     });
     
+    // Time gap chart: how far each saved profile is behind (+) or ahead of the current setup
+    const gapContainer = document.getElementById('gap-chart-container');
+    const gapOverlays = overlays.filter(overlay => overlay.chart === 'gap');
+    gapContainer.style.display = gapOverlays.length > 0 ? '' : 'none';
+    charts.gap = null;
+    if (gapOverlays.length > 0) {
+        const gapCtx = document.getElementById('gap-chart').getContext('2d');
+        charts.gap = new Chart(gapCtx, {
+            type: 'line',
+            data: {
+                labels: distances,
+                datasets: [{
+                    label: 'Current setup',
+                    data: downsampledData.map(() => 0),
+                    borderColor: '#94a3b8',
+                    backgroundColor: 'transparent',
+                    borderDash: [4, 4],
+                    fill: false,
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                    pointHoverRadius: 0
+                }, ...overlayDatasets(overlays, 'gap')]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
+                    legend: {
+                        display: true,
+                        labels: {
+                            font: {
+                                size: 14
+                            }
+                        }
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.dataset.label}: ${formatSignedDuration(context.parsed.y * 60)}`;
+                            }
+                        }
+                    },
+                    zoom: zoomOptions,
+                    waypoints: waypointOptions
+                },
+                interaction: {
+                    mode: 'nearest',
+                    axis: 'x',
+                    intersect: false
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Distance (km)',
+                            font: {
+                                size: 12,
+                                weight: 'bold'
+                            }
+                        },
+                        ticks: {
+                            maxTicksLimit: 12,
+                            font: {
+                                size: 12
+                            }
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Gap (min, + = behind)',
+                            font: {
+                                size: 14,
+                                weight: 'bold'
+                            }
+                        },
+                        ticks: {
+                            font: {
+                                size: 12
+                            }
+                        }
+                    }
+                },
+                onHover: (event, activeElements) => {
+                    if (activeElements.length > 0) {
+                        const index = activeElements[0].index;
+                        handleChartHover(index);
+                    }
+                }
+            }
+        });
+    }
+    
     // Enable selection on all charts
     enableChartSelection();
 }
 
+// Dashed dataset overlaying a recorded ride's values (none when the ride lacks them)
+function recordedDatasets(label, values, color, yAxisID) {
+    if (values.every(value => value === null)) return [];
+    
+    const dataset = {
+        label: label,
+        data: values,
+        borderColor: color,
+        backgroundColor: 'transparent',
+        fill: false,
+        tension: 0.4,
+        borderWidth: 2,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        spanGaps: true
+    };
+    if (yAxisID) dataset.yAxisID = yAxisID;
+    return [dataset];
+}
+
+// Colors for overlay series that don't bring their own
+const overlayColors = ['#0ea5e9', '#ec4899', '#84cc16', '#a855f7', '#14b8a6', '#f43f5e'];
+
+// Line datasets for the overlays targeting one chart, downsampled like the main data
+function overlayDatasets(overlays, chartKey) {
+    return overlays
+        .filter(overlay => overlay.chart === chartKey)
+        .map((overlay, index) => ({
+            label: overlay.label,
+            data: downsampleValues(overlay.values).map(value => value === null ? null : value.toFixed(1)),
+            borderColor: overlay.color || overlayColors[index % overlayColors.length],
+            backgroundColor: 'transparent',
+            fill: false,
+            tension: 0.4,
+            borderWidth: 1.5,
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            hidden: overlay.hidden === true
+        }));
+}
+
+// Distance covered by each 'progress' overlay at the chart's elapsed times. These
+// overlays carry elapsed times (one per data point) instead of chart values.
+function progressOverlayDatasets(overlays, data, downsampledData) {
+    return overlays
+        .filter(overlay => overlay.chart === 'progress')
+        .map(overlay => {
+            const timeline = data.map((d, i) => ({ actualTime: overlay.values[i], distance: d.distance }));
+            const finish = timeline[timeline.length - 1];
+            return {
+                label: overlay.label,
+                data: downsampledData.map(d => {
+                    // A faster rider waits at the finish
+                    const distance = d.time >= finish.actualTime ? finish.distance : recordedDistanceAt(timeline, d.time);
+                    return distance === null ? null : (distance / 1000).toFixed(2);
+                }),
+                borderColor: overlay.color,
+                backgroundColor: 'transparent',
+                fill: false,
+                tension: 0.4,
+                borderWidth: 1.5,
+                pointRadius: 0,
+                pointHoverRadius: 4,
+                yAxisID: 'y'
+            };
+        });
+}
+
+// Downsample a plain series with the same windows as downsampleData
+function downsampleValues(values, maxPoints = 150) {
+    if (values.length <= maxPoints) return values;
+    
+    const step = Math.ceil(values.length / maxPoints);
+    const downsampled = [];
+    for (let i = 0; i < values.length; i += step) {
+        const window = values.slice(i, Math.min(i + step, values.length)).filter(value => value !== null);
+        downsampled.push(window.length > 0 ? window.reduce((sum, value) => sum + value, 0) / window.length : null);
+    }
+    return downsampled;
+}
+
+// Distance the recorded ride had covered after the given elapsed time (m), or null.
+// recorded holds only the points that have an actual time.
+function recordedDistanceAt(recorded, elapsed) {
+    if (recorded.length < 2 || elapsed > recorded[recorded.length - 1].actualTime) return null;
+    
+    // Binary search for the first recorded point at or after the elapsed time
+    let low = 0;
+    let high = recorded.length - 1;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (recorded[mid].actualTime < elapsed) low = mid + 1;
+        else high = mid;
+    }
+    if (low === 0) return recorded[0].distance;
+    
+    const before = recorded[low - 1];
+    const after = recorded[low];
+    const span = after.actualTime - before.actualTime;
+    const t = span > 0 ? (elapsed - before.actualTime) / span : 0;
+    return before.distance + (after.distance - before.distance) * t;
+}
+
 // Handle chart hover to show point on map
 function handleChartHover(downsampledIndex) {
     if (!simulationDataGlobal) return;
@@ -1490,3 +3841,170 @@ function selectChartRange(startDistKm, endDistKm) {
     }
 }
 
+// Fit CdA and Crr to the loaded ride and show the virtual elevation
+function runCalibration() {
+    if (!gpxData) return;
+    
+    const mass = getSimulationParams().mass;
+    const points = preprocessPoints(gpxData.points, getPreprocessOptions());
+    
+    try {
+        calibrationResult = fitDragAndRolling(points, mass, getSimulationParams().air);
+    } catch (error) {
+        calibrationResult = null;
+        alert('Calibration failed: ' + error.message);
+        return;
+    }
+    
+    document.getElementById('fit-cda').textContent = `${calibrationResult.CdA.toFixed(3)} m²`;
+    document.getElementById('fit-crr').textContent = calibrationResult.Crr.toFixed(4);
+    document.getElementById('fit-rmse').textContent = `${calibrationResult.rmse.toFixed(1)} m`;
+    document.getElementById('fit-r2').textContent = calibrationResult.rSquared.toFixed(3);
+    document.getElementById('fit-intervals').textContent = calibrationResult.intervals;
+    document.getElementById('calibration-results').style.display = 'block';
+    
+    // Physically meaningless fits can't be applied
+    const plausible = calibrationResult.CdA > 0 && calibrationResult.CdA < 1.5;
+    document.getElementById('apply-cda').disabled = !plausible;
+    
+    displayCalibrationChart(points, calibrationResult);
+}
+
+// Forget the fit of a previous file
+function clearCalibration() {
+    calibrationResult = null;
+    if (calibrationChart) calibrationChart.destroy();
+    calibrationChart = null;
+    document.getElementById('calibration-results').style.display = 'none';
+}
+
+// Push the fitted CdA into the parameter input and re-simulate
+function applyCalibratedCdA() {
+    if (!calibrationResult) return;
+    
+    const value = calibrationResult.CdA.toFixed(3);
+    cdaInput.value = value;
+    cdaSlider.value = value;
+    autoSimulate();
+}
+
+// Virtual vs. recorded elevation, with the residual on a second axis
+function displayCalibrationChart(points, result) {
+    if (calibrationChart) calibrationChart.destroy();
+    
+    const distances = calculateCumulativeDistances(points);
+    const step = Math.max(1, Math.ceil(points.length / 300));
+    const indices = [];
+    for (let i = 0; i < points.length; i += step) indices.push(i);
+    
+    const ctx = document.getElementById('calibration-chart').getContext('2d');
+    calibrationChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: indices.map(i => (distances[i] / 1000).toFixed(1)),
+            datasets: [
+                {
+                    label: 'Recorded Elevation (m)',
+                    data: indices.map(i => points[i].ele.toFixed(1)),
+                    borderColor: '#10b981',
+                    backgroundColor: 'rgba(16, 185, 129, 0.1)',
+                    fill: true,
+                    tension: 0.4,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Virtual Elevation (m)',
+                    data: indices.map(i => result.virtualElevation[i].toFixed(1)),
+                    borderColor: '#667eea',
+                    backgroundColor: 'transparent',
+                    fill: false,
+                    tension: 0.4,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Residual (m)',
+                    data: indices.map(i => result.residuals[i].toFixed(1)),
+                    borderColor: '#ef4444',
+                    backgroundColor: 'transparent',
+                    fill: false,
+                    tension: 0.4,
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    pointRadius: 0,
+                    yAxisID: 'y1'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: true,
+                    labels: {
+                        font: {
+                            size: 14
+                        }
+                    }
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false
+                }
+            },
+            interaction: {
+                mode: 'nearest',
+                axis: 'x',
+                intersect: false
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Distance (km)',
+                        font: {
+                            size: 12,
+                            weight: 'bold'
+                        }
+                    },
+                    ticks: {
+                        maxTicksLimit: 12
+                    }
+                },
+                y: {
+                    position: 'left',
+                    title: {
+                        display: true,
+                        text: 'Elevation (m)',
+                        font: {
+                            size: 14,
+                            weight: 'bold'
+                        }
+                    }
+                },
+                y1: {
+                    position: 'right',
+                    title: {
+                        display: true,
+                        text: 'Residual (m)',
+                        font: {
+                            size: 14,
+                            weight: 'bold'
+                        },
+                        color: '#ef4444'
+                    },
+                    ticks: {
+                        color: '#ef4444'
+                    },
+                    grid: {
+                        drawOnChartArea: false
+                    }
+                }
+            }
+        }
+    });
+}
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// Command line simulator: rides GPX, TCX or FIT routes with one or more parameter sets
+// and prints a summary of each ride, or writes the per-point results as CSV.
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('./engine.js');
+
+const usage = `Usage: node cli.js [options] <route.gpx> [more routes...]
+
+Every route is ridden with every parameter set.
+
+Options:
+  -p, --params <file.json>  Parameter set (repeatable). Either the fields of
+                            defaultParams in engine.js or a results JSON export,
+                            whose "parameters" are used. Defaults when none is given.
+  -s, --set <key=value>     Override a parameter in every set (repeatable). Nested
+                            fields use dots: air.temperature=25, pacing.strategy=grade
+      --wind <file.csv>     Wind profile (as loaded in the Wind panel)
+      --surfaces <file>     Surface-tagged ways (OSM XML or GeoJSON)
+      --csv <directory>     Write each ride's per-point results as CSV
+      --json                Print the summaries as JSON
+  -h, --help                Show this help
+`;
+
+// Parse the command line into routes, parameter set files, overrides and outputs
+function parseArguments(args) {
+    const options = { routes: [], paramFiles: [], overrides: [], wind: null, surfaces: null, csv: null, json: false, help: false };
+    const value = (i, flag) => {
+        if (i >= args.length) throw new Error(`${flag} needs a value`);
+        return args[i];
+    };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '-h' || arg === '--help') options.help = true;
+        else if (arg === '-p' || arg === '--params') options.paramFiles.push(value(++i, arg));
+        else if (arg === '-s' || arg === '--set') options.overrides.push(parseOverride(value(++i, arg)));
+        else if (arg === '--wind') options.wind = value(++i, arg);
+        else if (arg === '--surfaces') options.surfaces = value(++i, arg);
+        else if (arg === '--csv') options.csv = value(++i, arg);
+        else if (arg === '--json') options.json = true;
+        else if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+        else options.routes.push(arg);
+    }
+    return options;
+}
+
+// "air.temperature=25" -> { path: ['air', 'temperature'], value: 25 }. Values are read as
+// JSON when they can be (numbers, booleans, null), otherwise kept as text.
+function parseOverride(text) {
+    const separator = text.indexOf('=');
+    if (separator <= 0) throw new Error(`Expected key=value, got "${text}"`);
+    const raw = text.slice(separator + 1);
+    let value;
+    try {
+        value = JSON.parse(raw);
+    } catch (error) {
+        value = raw;
+    }
+    return { path: text.slice(0, separator).split('.'), value: value };
+}
+
+function applyOverride(params, override) {
+    let target = params;
+    override.path.slice(0, -1).forEach(key => {
+        target[key] = { ...target[key] };
+        target = target[key];
+    });
+    target[override.path[override.path.length - 1]] = override.value;
+}
+
+// Named parameter sets, before defaults are filled in
+function loadParameterSets(options) {
+    const sets = options.paramFiles.length === 0
+        ? [{ name: 'defaults', params: {} }]
+        : options.paramFiles.map(file => {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return { name: path.basename(file, path.extname(file)), params: data.parameters || data };
+        });
+    
+    const wind = options.wind ? engine.parseWindCSV(fs.readFileSync(options.wind, 'utf8')) : null;
+    const surfaceIndex = options.surfaces ? engine.buildSurfaceIndex(engine.parseSurfaceFile(fs.readFileSync(options.surfaces, 'utf8'))) : null;
+    
+    sets.forEach(set => {
+        if (wind) set.params.wind = { ...set.params.wind, profile: wind };
+        if (surfaceIndex) set.params.surfaceIndex = surfaceIndex;
+        options.overrides.forEach(override => applyOverride(set.params, override));
+    });
+    return sets;
+}
+
+function loadRoute(file) {
+    const buffer = fs.readFileSync(file);
+    const data = engine.parseActivityFile(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+    return { name: path.basename(file, path.extname(file)), points: data.points };
+}
+
+// One line per ride, in aligned columns
+function formatSummaryTable(runs) {
+    const header = ['Route', 'Parameters', 'Distance', 'Time', 'Avg speed', 'Avg power', 'NP', 'Work', 'Energy', 'Elevation gain'];
+    const rows = runs.map(run => [
+        run.route,
+        run.params,
+        `${(run.summary.distance / 1000).toFixed(1)} km`,
+        engine.formatDuration(run.summary.time),
+        `${run.summary.avgSpeed.toFixed(1)} km/h`,
+        `${run.summary.avgPower.toFixed(0)} W`,
+        `${run.summary.normalizedPower.toFixed(0)} W`,
+        `${run.summary.work.toFixed(0)} kJ`,
+        `${run.summary.energy.toFixed(0)} kcal`,
+        `${run.summary.elevationGain.toFixed(0)} m`
+    ]);
+    const widths = header.map((title, c) => Math.max(title.length, ...rows.map(row => row[c].length)));
+    return [header, ...rows]
+        .map(row => row.map((cell, c) => c < 2 ? cell.padEnd(widths[c]) : cell.padStart(widths[c])).join('  '))
+        .join('\n');
+}
+
+function main(args) {
+    const options = parseArguments(args);
+    if (options.help || options.routes.length === 0) {
+        process.stdout.write(usage);
+        return options.help ? 0 : 1;
+    }
+    
+    const sets = loadParameterSets(options);
+    if (options.csv) fs.mkdirSync(options.csv, { recursive: true });
+    
+    const runs = [];
+    options.routes.forEach(file => {
+        const route = loadRoute(file);
+        sets.forEach(set => {
+            const result = engine.simulate(route.points, set.params);
+            runs.push({ route: route.name, params: set.name, summary: result.summary });
+            
+            if (options.csv) {
+                const name = sets.length > 1 ? `${route.name}-${set.name}.csv` : `${route.name}.csv`;
+                const { surfaceIndex, ...parameters } = result.params;
+                const csv = engine.buildResultsCSV(engine.buildResultsExport(result.data, null, parameters));
+                fs.writeFileSync(path.join(options.csv, name), csv);
+            }
+        });
+    });
+    
+    process.stdout.write((options.json ? JSON.stringify(runs, null, 2) : formatSummaryTable(runs)) + '\n');
+    return 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+}
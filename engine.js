@@ -0,0 +1,2960 @@
+// Simulation engine: file parsing, route preparation, the ride physics, pacing and exports.
+// No DOM access, so it runs in the browser (as globals for app.js) and in Node (as a module).
+
+// Constants
+const g = 9.81; // gravity (m/s^2)
+const rho = 1.225; // standard air density at sea level and 15 °C (kg/m^3)
+const dryAirConstant = 287.058; // specific gas constant of dry air (J/(kg·K))
+const waterVaporConstant = 461.495; // specific gas constant of water vapour (J/(kg·K))
+const Crr = 0.004; // rolling resistance coefficient on asphalt (28 mm tire at 6 bar)
+const wheelInertia = 0.14; // moment of inertia of both wheels (kg·m^2)
+const wheelRadius = 0.335; // 700c wheel with tire (m)
+const integrationStep = 2; // maximum distance per integration step (m)
+const minSpeed = 0.1; // lowest speed the rider is allowed to crawl at (m/s)
+const cornerWindow = 15; // distance on each side of a point used to measure its turn radius (m)
+const duplicateDistance = 0.5; // points closer than this to the previous one are dropped (m)
+const fitEpoch = 631065600; // FIT timestamps count seconds from 1989-12-31T00:00:00Z
+const calibrationMaxGap = 5; // recorded intervals longer than this are pauses, not riding (s)
+const calibrationMinSpeed = 2; // intervals slower than this are too noisy to fit (m/s)
+const pacingMaxBoost = 0.5; // grade-proportional pacing never exceeds Pmax by more than this fraction
+const optimizerGradeBin = 0.005; // the optimiser plans one power per 0.5% of grade
+const optimizerPowerStep = 5; // coarse grid before refining the optimal power (W)
+const optimizerWindBin = 1; // ...per 1 m/s of headwind
+const optimizerRhoBin = 0.02; // ...and per 0.02 kg/m³ of air density
+const windIdwPower = 2; // inverse-distance weighting exponent between wind stations
+const calmConditions = { headwind: 0, crosswind: 0, rho: rho, Crr: Crr, draft: 1 };
+const draftFactors = [0.97, 0.64, 0.57, 0.55]; // CdA multiplier at the front, 2nd, 3rd and 4th-or-later place in a paceline
+const teamPowerTolerance = 0.01; // a team rider needing more than Pmax by this fraction takes over the pace
+const surfaceMatchDistance = 25; // a route point takes the surface of a mapped way this close (m)
+const surfaceGridSize = 0.001; // cell size of the spatial index over mapped ways (degrees)
+const referenceTireWidth = 28; // tire width the surface Crr values are given for (mm)
+const tirePressurePenalty = 0.5; // Crr grows by this × (relative pressure error)²
+const climbMinGrade = 0.03; // a climb averages at least 3%...
+const climbMaxDrop = 20; // ...and ends where the road drops this far below its top (m)...
+const climbMaxFlat = 1000; // ...or goes this far without passing it (m)
+const climbGradeWindow = 200; // the maximum grade of a climb is its steepest stretch of this length (m)
+const waypointMaxOffset = 250; // a waypoint further than this from the route is not on it (m)
+const sunriseAltitude = -0.833; // altitude of the sun's centre at sunrise and sunset, for refraction and its radius (°)
+const earthObliquity = 23.4397; // tilt of the earth's axis (°)
+const joulesPerKcal = 4184;
+const carbGuidelines = [ // carbohydrate to take in by the ride's elapsed time (h), in g/h
+    { maxHours: 1, carbsPerHour: 0 },
+    { maxHours: 2, carbsPerHour: 30 },
+    { maxHours: 3, carbsPerHour: 60 },
+    { maxHours: Infinity, carbsPerHour: 90 }
+];
+const fluidReferenceTemperature = 20; // nutrition.fluidPerHour is the need at this temperature (°C)...
+const fluidTemperatureGain = 0.05; // ...which grows by this fraction per °C warmer and shrinks per °C colder
+const fluidScaleLimits = [0.5, 2]; // ...within these factors
+const intakeWindow = 0.25; // an intake may move by this fraction of the interval to an easier spot
+const intakeMaxGrade = 5; // easy spots to eat and drink: no steeper than this (%)...
+const intakeMinGrade = -3; // ...no steeper downhill than this (%)...
+const intakeMaxSpeed = 35; // ...and no faster than this (km/h)
+const coastingPower = 1; // below this the rider freewheels rather than pedals (W)
+const cadenceMinStretch = 200; // cadence out of range over less than this is left out: starts, hairpins (m)
+const climbCategories = [ // by score, length (m) × average grade (%)
+    { name: 'HC', minScore: 80000 },
+    { name: '1', minScore: 64000 },
+    { name: '2', minScore: 32000 },
+    { name: '3', minScore: 16000 },
+    { name: '4', minScore: 8000 }
+];
+const surfaceTypes = [
+    // crr: 28 mm tire at its best pressure; bestPressure: that pressure in bar
+    { id: 'asphalt', name: 'Asphalt', color: '#667eea', crr: Crr, bestPressure: 6, tags: ['asphalt', 'paved', 'chipseal'] },
+    { id: 'concrete', name: 'Concrete', color: '#0ea5e9', crr: 0.005, bestPressure: 5.5, tags: ['concrete', 'concrete:plates', 'concrete:lanes'] },
+    { id: 'compacted', name: 'Compacted gravel', color: '#eab308', crr: 0.007, bestPressure: 4, tags: ['compacted', 'fine_gravel'] },
+    { id: 'gravel', name: 'Loose gravel', color: '#d97706', crr: 0.011, bestPressure: 3, tags: ['gravel', 'pebblestone', 'rock'] },
+    { id: 'cobbles', name: 'Cobbles', color: '#dc2626', crr: 0.012, bestPressure: 3.5, tags: ['cobblestone', 'sett', 'paving_stones', 'unhewn_cobblestone', 'cobbles'] },
+    { id: 'dirt', name: 'Dirt', color: '#78350f', crr: 0.014, bestPressure: 2.5, tags: ['dirt', 'ground', 'earth', 'unpaved', 'grass', 'mud', 'sand', 'soil'] }
+];
+const pacingStrategies = [
+    { id: 'constant', name: 'Constant power' },
+    { id: 'grade', name: 'Grade-proportional' },
+    { id: 'np-target', name: 'Target NP / IF' },
+    { id: 'soft-pedal', name: 'Soft-pedal descents' }
+];
+
+// File formats
+
+// Parse XML into plain element objects {name, localName, attributes, children, text}.
+// Enough for the track and map formats: comments, processing instructions and the
+// doctype are skipped, and `text` holds the element's own text with entities decoded.
+function parseXML(text) {
+    const root = { name: '#document', localName: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^[>]|\[[\s\S]*?\])*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+    let match;
+    
+    while (token.lastIndex < text.length) {
+        const start = token.lastIndex;
+        match = token.exec(text);
+        if (!match) {
+            throw new Error(`Malformed XML at character ${start}`);
+        }
+        const [, cdata, closing, opening, attributes, selfClosing, characters] = match;
+        const current = stack[stack.length - 1];
+        
+        if (opening !== undefined) {
+            const element = {
+                name: opening,
+                localName: opening.slice(opening.indexOf(':') + 1),
+                attributes: parseXMLAttributes(attributes),
+                children: [],
+                text: ''
+            };
+            current.children.push(element);
+            if (!selfClosing) stack.push(element);
+        } else if (closing !== undefined) {
+            if (current.name !== closing) {
+                throw new Error(`Malformed XML: </${closing}> closes <${current.name}>`);
+            }
+            stack.pop();
+        } else if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (characters !== undefined) {
+            current.text += decodeXMLEntities(characters);
+        }
+    }
+    
+    if (stack.length > 1) {
+        throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is never closed`);
+    }
+    if (root.children.length === 0) {
+        throw new Error('Malformed XML: no root element');
+    }
+    return root;
+}
+
+function parseXMLAttributes(text) {
+    const attributes = {};
+    const attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attribute.exec(text)) !== null) {
+        attributes[match[1]] = decodeXMLEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+}
+
+function decodeXMLEntities(text) {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|\w+);/g, (entity, code) => {
+        if (code[0] !== '#') return named[code] !== undefined ? named[code] : entity;
+        return String.fromCodePoint(code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+    });
+}
+
+// Every descendant element with a local name, in document order, whatever its namespace prefix
+function findElements(parent, localName) {
+    const found = [];
+    const visit = element => element.children.forEach(child => {
+        if (child.localName === localName) found.push(child);
+        visit(child);
+    });
+    visit(parent);
+    return found;
+}
+
+// Text of an element and all its descendants
+function elementText(element) {
+    return element.text + element.children.map(elementText).join('');
+}
+
+// Detect the file format from its content rather than its extension
+function detectFileFormat(buffer) {
+    const bytes = new Uint8Array(buffer);
+    
+    // FIT files carry the ".FIT" signature in bytes 8-11 of the header
+    if (bytes.length >= 12 && String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]) === '.FIT') {
+        return 'fit';
+    }
+    
+    // XML formats are told apart by their root element
+    const head = new TextDecoder().decode(bytes.subarray(0, 4096));
+    if (/<(\w+:)?TrainingCenterDatabase[\s>]/.test(head)) return 'tcx';
+    if (/<(\w+:)?gpx[\s>]/.test(head)) return 'gpx';
+    
+    return null;
+}
+
+// Parse a GPX, TCX or FIT file into { points, format }
+function parseActivityFile(buffer) {
+    const format = detectFileFormat(buffer);
+    let data;
+    
+    if (format === 'fit') {
+        data = parseFIT(buffer);
+    } else if (format === 'tcx') {
+        data = parseTCX(new TextDecoder().decode(buffer));
+    } else if (format === 'gpx') {
+        data = parseGPX(new TextDecoder().decode(buffer));
+    } else {
+        throw new Error('Unrecognized file format (expected GPX, TCX or FIT)');
+    }
+    
+    data.format = format;
+    return data;
+}
+
+// Parse GPX File. Every track keeps its segments, routes are listed after the tracks, and
+// waypoints are kept apart. `points` are those of the first track (or route) to ride.
+function parseGPX(gpxText) {
+    let xmlDoc;
+    try {
+        xmlDoc = parseXML(gpxText);
+    } catch (error) {
+        throw new Error('Invalid GPX file');
+    }
+    
+    const readPoints = (parent, name) => findElements(parent, name).map(readGPXPoint).filter(Boolean);
+    const tracks = [
+        ...findElements(xmlDoc, 'trk').map((trk, i) => {
+            const trksegs = findElements(trk, 'trkseg');
+            return {
+                name: childText(trk, 'name') || `Track ${i + 1}`,
+                type: 'track',
+                // Some tools write points straight into <trk>
+                segments: trksegs.length > 0 ? trksegs.map(trkseg => readPoints(trkseg, 'trkpt')) : [readPoints(trk, 'trkpt')]
+            };
+        }),
+        ...findElements(xmlDoc, 'rte').map((rte, i) => ({
+            name: childText(rte, 'name') || `Route ${i + 1}`,
+            type: 'route',
+            segments: [readPoints(rte, 'rtept')]
+        }))
+    ].map(track => ({ ...track, segments: track.segments.filter(segment => segment.length > 0) }))
+        .filter(track => track.segments.length > 0);
+    
+    if (tracks.length === 0) {
+        throw new Error('No track or route points found in GPX file');
+    }
+    
+    const waypoints = findElements(xmlDoc, 'wpt').map((wpt, i) => {
+        const point = readGPXPoint(wpt);
+        if (!point) return null;
+        const waypoint = { name: childText(wpt, 'name') || `Waypoint ${i + 1}`, lat: point.lat, lon: point.lon, ele: point.ele };
+        const description = childText(wpt, 'desc');
+        if (description) waypoint.description = description;
+        return waypoint;
+    }).filter(Boolean);
+    
+    return { points: trackPoints(tracks[0]), tracks, waypoints };
+}
+
+// A <trkpt>, <rtept> or <wpt> as a point, or null without a valid position
+function readGPXPoint(element) {
+    const lat = parseFloat(element.attributes.lat);
+    const lon = parseFloat(element.attributes.lon);
+    if (isNaN(lat) || isNaN(lon)) return null;
+    
+    const eleElement = findElement(element, 'ele');
+    const ele = eleElement ? parseFloat(elementText(eleElement)) : 0;
+    const point = { lat, lon, ele };
+    
+    const timeElement = findElement(element, 'time');
+    const time = timeElement ? Date.parse(elementText(timeElement)) : NaN;
+    if (!isNaN(time)) point.time = time;
+    
+    // Power, heart rate and cadence come from <extensions>: plain <power> (Strava),
+    // Garmin TrackPointExtension (hr, cad) and PowerExtension (PowerInWatts)
+    const power = readElementNumber(element, 'power');
+    const powerInWatts = readElementNumber(element, 'PowerInWatts');
+    if (power !== null) point.power = power;
+    else if (powerInWatts !== null) point.power = powerInWatts;
+    
+    const heartRate = readElementNumber(element, 'hr');
+    if (heartRate !== null) point.heartRate = heartRate;
+    
+    const cadence = readElementNumber(element, 'cad');
+    if (cadence !== null) point.cadence = cadence;
+    
+    // Route planners export the OSM surface tag as <surface> in the point's extensions
+    const surfaceElement = findElement(element, 'surface');
+    const surface = surfaceElement ? normalizeSurface(elementText(surfaceElement)) : null;
+    if (surface) point.surface = surface;
+    
+    return point;
+}
+
+// The points of a track in order. The first point of every later segment is marked as
+// starting after a gap, which is not ridden.
+function trackPoints(track) {
+    return track.segments.flatMap((segment, s) =>
+        segment.map((point, i) => s > 0 && i === 0 ? { ...point, segmentStart: true } : point)
+    );
+}
+
+// Text of the named child element (not a deeper descendant), trimmed, or ''
+function childText(parent, localName) {
+    const child = parent.children.find(element => element.localName === localName);
+    return child ? elementText(child).trim() : '';
+}
+
+// Parse TCX File (activities or courses)
+function parseTCX(tcxText) {
+    let xmlDoc;
+    try {
+        xmlDoc = parseXML(tcxText);
+    } catch (error) {
+        throw new Error('Invalid TCX file');
+    }
+    
+    const trackPoints = findElements(xmlDoc, 'Trackpoint');
+    if (trackPoints.length === 0) {
+        throw new Error('No trackpoints found in TCX file');
+    }
+    
+    const points = [];
+    trackPoints.forEach(trackPoint => {
+        // Trackpoints without a position (e.g. indoor or GPS dropouts) can't be placed on the route
+        const lat = readElementNumber(trackPoint, 'LatitudeDegrees');
+        const lon = readElementNumber(trackPoint, 'LongitudeDegrees');
+        if (lat === null || lon === null) return;
+        
+        const ele = readElementNumber(trackPoint, 'AltitudeMeters');
+        const point = { lat, lon, ele: ele !== null ? ele : 0 };
+        
+        const timeElement = findElement(trackPoint, 'Time');
+        const time = timeElement ? Date.parse(elementText(timeElement)) : NaN;
+        if (!isNaN(time)) point.time = time;
+        
+        const heartRate = readElementNumber(trackPoint, 'HeartRateBpm', 'Value');
+        if (heartRate !== null) point.heartRate = heartRate;
+        
+        const cadence = readElementNumber(trackPoint, 'Cadence');
+        if (cadence !== null) point.cadence = cadence;
+        
+        // Power lives in the ActivityExtension TPX element
+        const power = readElementNumber(trackPoint, 'Watts');
+        if (power !== null) point.power = power;
+        
+        points.push(point);
+    });
+    
+    if (points.length === 0) {
+        throw new Error('No positioned trackpoints found in TCX file');
+    }
+    
+    return { points };
+}
+
+// Find the first descendant along a path of local names, ignoring namespace prefixes
+function findElement(parent, ...names) {
+    let element = parent;
+    for (const name of names) {
+        element = findElements(element, name)[0];
+        if (!element) return null;
+    }
+    return element;
+}
+
+// Read the number inside the element at the given path of local names, or null
+function readElementNumber(parent, ...names) {
+    const element = findElement(parent, ...names);
+    if (!element) return null;
+    const value = parseFloat(elementText(element));
+    return isNaN(value) ? null : value;
+}
+
+// FIT base types: [size in bytes, DataView getter, invalid value]
+const fitBaseTypes = {
+    0x00: [1, 'Uint8', 0xFF],       // enum
+    0x01: [1, 'Int8', 0x7F],        // sint8
+    0x02: [1, 'Uint8', 0xFF],       // uint8
+    0x83: [2, 'Int16', 0x7FFF],     // sint16
+    0x84: [2, 'Uint16', 0xFFFF],    // uint16
+    0x85: [4, 'Int32', 0x7FFFFFFF], // sint32
+    0x86: [4, 'Uint32', 0xFFFFFFFF],// uint32
+    0x88: [4, 'Float32', null],     // float32
+    0x89: [8, 'Float64', null],     // float64
+    0x0A: [1, 'Uint8', 0x00],       // uint8z
+    0x8B: [2, 'Uint16', 0x0000],    // uint16z
+    0x8C: [4, 'Uint32', 0x00000000] // uint32z
+};
+
+// Parse a binary FIT activity or course file. Only record messages are used.
+function parseFIT(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 12) {
+        throw new Error('Invalid FIT file');
+    }
+    
+    const headerSize = view.getUint8(0);
+    const dataSize = view.getUint32(4, true);
+    const end = Math.min(headerSize + dataSize, view.byteLength);
+    
+    const definitions = {};
+    const points = [];
+    let offset = headerSize;
+    let lastTimestamp = null;
+    
+    while (offset < end) {
+        const header = view.getUint8(offset++);
+        let localType;
+        let timeOffset = null;
+        
+        if (header & 0x80) {
+            // Compressed timestamp header: local type in bits 5-6, time offset in bits 0-4
+            localType = (header >> 5) & 0x03;
+            timeOffset = header & 0x1F;
+        } else {
+            localType = header & 0x0F;
+            if (header & 0x40) {
+                offset = readFitDefinition(view, offset, (header & 0x20) !== 0, definitions, localType);
+                continue;
+            }
+        }
+        
+        const definition = definitions[localType];
+        if (!definition) {
+            throw new Error('Invalid FIT file: data message without a definition');
+        }
+        
+        const fields = {};
+        definition.fields.forEach(field => {
+            fields[field.number] = readFitValue(view, offset, field, definition.littleEndian);
+            offset += field.size;
+        });
+        offset += definition.developerSize;
+        
+        // Keep track of time so compressed timestamps can be expanded
+        if (typeof fields[253] === 'number') {
+            lastTimestamp = fields[253];
+        } else if (timeOffset !== null && lastTimestamp !== null) {
+            let timestamp = lastTimestamp - (lastTimestamp & 0x1F) + timeOffset;
+            if (timeOffset < (lastTimestamp & 0x1F)) timestamp += 0x20;
+            fields[253] = timestamp;
+            lastTimestamp = timestamp;
+        }
+        
+        // Global message 20 is "record"
+        if (definition.globalNumber === 20) {
+            const point = fitRecordToPoint(fields);
+            if (point) points.push(point);
+        }
+    }
+    
+    if (points.length === 0) {
+        throw new Error('No positioned records found in FIT file');
+    }
+    
+    return { points };
+}
+
+// Read a definition message and store it under its local message type
+function readFitDefinition(view, offset, hasDeveloperFields, definitions, localType) {
+    const littleEndian = view.getUint8(offset + 1) === 0;
+    const globalNumber = view.getUint16(offset + 2, littleEndian);
+    const fieldCount = view.getUint8(offset + 4);
+    offset += 5;
+    
+    const fields = [];
+    for (let i = 0; i < fieldCount; i++) {
+        fields.push({
+            number: view.getUint8(offset),
+            size: view.getUint8(offset + 1),
+            baseType: view.getUint8(offset + 2)
+        });
+        offset += 3;
+    }
+    
+    // Developer fields are skipped, but their size must be known
+    let developerSize = 0;
+    if (hasDeveloperFields) {
+        const developerCount = view.getUint8(offset++);
+        for (let i = 0; i < developerCount; i++) {
+            developerSize += view.getUint8(offset + 1);
+            offset += 3;
+        }
+    }
+    
+    definitions[localType] = { littleEndian, globalNumber, fields, developerSize };
+    return offset;
+}
+
+// Read a single scalar field value, or null if invalid or not a scalar
+function readFitValue(view, offset, field, littleEndian) {
+    const baseType = fitBaseTypes[field.baseType];
+    if (!baseType || baseType[0] !== field.size) return null;
+    
+    const value = view['get' + baseType[1]](offset, littleEndian);
+    return value === baseType[2] ? null : value;
+}
+
+// Convert a FIT record message to a point; positions are in semicircles
+function fitRecordToPoint(fields) {
+    const field = number => (fields[number] === undefined ? null : fields[number]);
+    if (field(0) === null || field(1) === null) return null;
+    
+    const semicircles = 180 / Math.pow(2, 31);
+    const point = {
+        lat: field(0) * semicircles,
+        lon: field(1) * semicircles,
+        ele: 0
+    };
+    
+    // Altitude is scaled by 5 with a 500 m offset; prefer enhanced_altitude
+    const altitude = field(78) !== null ? field(78) : field(2);
+    if (altitude !== null) point.ele = altitude / 5 - 500;
+    
+    if (field(253) !== null) point.time = (field(253) + fitEpoch) * 1000;
+    if (field(3) !== null) point.heartRate = field(3);
+    if (field(4) !== null) point.cadence = field(4);
+    if (field(7) !== null) point.power = field(7);
+    
+    return point;
+}
+
+// Export
+
+// Columns of the per-point results export: [data row key, exported name with its unit,
+// optional conversion of non-null values]
+const resultColumns = [
+    ['distance', 'distance_m'],
+    ['elevation', 'elevation_m'],
+    ['grade', 'grade_pct'],
+    ['speed', 'speed_kmh'],
+    ['power', 'power_w'],
+    ['time', 'time_s'],
+    ['elapsedTime', 'elapsed_time_s'],
+    ['dwell', 'stop_s'],
+    ['eta', 'eta_utc', eta => new Date(eta).toISOString()],
+    ['elevationGain', 'elevation_gain_m'],
+    ['work', 'work_kj'],
+    ['energy', 'energy_kcal'],
+    ['cadence', 'cadence_rpm'],
+    ['chainring', 'chainring_teeth'],
+    ['cog', 'cog_teeth'],
+    ['forceGravity', 'force_gravity_n'],
+    ['forceRolling', 'force_rolling_n'],
+    ['forceAir', 'force_air_n'],
+    ['forceInertia', 'force_inertia_n'],
+    ['forceBraking', 'force_braking_n'],
+    ['wPrimeBalance', 'wprime_balance_kj'],
+    ['rho', 'air_density_kg_m3'],
+    ['surface', 'surface'],
+    ['Crr', 'crr'],
+    ['windSpeed', 'wind_speed_kmh'],
+    ['windDirection', 'wind_direction_deg'],
+    ['headwind', 'headwind_kmh'],
+    ['crosswind', 'crosswind_kmh'],
+    ['radius', 'turn_radius_m'],
+    ['cornerSpeed', 'corner_speed_kmh'],
+    ['braking', 'braking'],
+    ['seaLevelTime', 'sea_level_time_s'],
+    ['lat', 'lat'],
+    ['lon', 'lon'],
+    ['actualTime', 'actual_time_s'],
+    ['actualSpeed', 'actual_speed_kmh'],
+    ['actualPower', 'actual_power_w']
+];
+
+// Model constants, so an exported run can be reproduced
+function getModelConstants() {
+    return {
+        g: g,
+        rho: rho,
+        Crr: Crr,
+        wheelInertia: wheelInertia,
+        wheelRadius: wheelRadius,
+        integrationStep: integrationStep,
+        minSpeed: minSpeed,
+        cornerWindow: cornerWindow,
+        dryAirConstant: dryAirConstant,
+        waterVaporConstant: waterVaporConstant,
+        referenceTireWidth: referenceTireWidth,
+        tirePressurePenalty: tirePressurePenalty,
+        draftFactors: draftFactors,
+        surfaces: Object.fromEntries(surfaceTypes.map(surface => [surface.id, { crr: surface.crr, bestPressure: surface.bestPressure }]))
+    };
+}
+
+// Results of a simulation as one object: parameters, constants, summaries of the route and
+// of the selected range (null without one), and every data row
+function buildResultsExport(data, range, parameters) {
+    return {
+        generated: new Date().toISOString(),
+        parameters: parameters,
+        constants: getModelConstants(),
+        summary: {
+            route: summarizeRange(data, 0, data.length - 1),
+            selection: range ? { startIndex: range.start, endIndex: range.end, ...summarizeRange(data, range.start, range.end) } : null
+        },
+        rows: data.map(row => Object.fromEntries(resultColumns.map(([key, name, convert]) => {
+            const value = row[key] === undefined ? null : row[key];
+            return [name, value !== null && convert ? convert(value) : value];
+        })))
+    };
+}
+
+// CSV of the results: the parameters, constants and summaries as "# key = value" comment
+// lines (pandas: read_csv(..., comment='#')), then one line per data row
+function buildResultsCSV(results) {
+    const lines = [`# GPX Bike Speed Simulator results, ${results.generated}`];
+    const addComments = (prefix, value) => {
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            Object.entries(value).forEach(([key, child]) => addComments(`${prefix}.${key}`, child));
+        } else {
+            lines.push(`# ${prefix} = ${Array.isArray(value) ? JSON.stringify(value) : value}`);
+        }
+    };
+    addComments('parameters', results.parameters);
+    addComments('constants', results.constants);
+    addComments('summary', results.summary);
+    
+    const format = value => {
+        if (value === null) return '';
+        if (typeof value === 'number') return String(Number(value.toPrecision(8)));
+        return String(value);
+    };
+    lines.push(resultColumns.map(([, name]) => name).join(','));
+    results.rows.forEach(row => {
+        lines.push(resultColumns.map(([, name]) => format(row[name])).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Points of a simulated ride for export: the data rows with the time and distance counted
+// from the first one, and their absolute timestamps (ms) from startTime
+function exportPoints(rows, startTime) {
+    return rows.map(row => ({
+        lat: row.lat,
+        lon: row.lon,
+        ele: row.elevation,
+        elapsed: row.time - rows[0].time,
+        distance: row.distance - rows[0].distance,
+        speed: row.speed / 3.6, // m/s
+        power: row.power,
+        timestamp: startTime + (row.time - rows[0].time) * 1000
+    }));
+}
+
+// GPX track with <time> on every point, plain <power> (as Strava writes it) and the
+// Garmin TrackPointExtension speed. Gaps between track segments start a new <trkseg>.
+function buildGPX(rows, startTime, name) {
+    const points = exportPoints(rows, startTime);
+    const trksegs = [[]];
+    points.forEach((point, i) => {
+        if (i > 0 && rows[i].gap) trksegs.push([]);
+        trksegs[trksegs.length - 1].push(`      <trkpt lat="${point.lat.toFixed(7)}" lon="${point.lon.toFixed(7)}">
+        <ele>${point.ele.toFixed(1)}</ele>
+        <time>${new Date(point.timestamp).toISOString()}</time>
+        <extensions>
+          <power>${Math.round(point.power)}</power>
+          <gpxtpx:TrackPointExtension><gpxtpx:speed>${point.speed.toFixed(2)}</gpxtpx:speed></gpxtpx:TrackPointExtension>
+        </extensions>
+      </trkpt>`);
+    });
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="GPX Bike Speed Simulator" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">
+  <metadata>
+    <name>${escapeHtml(name)}</name>
+    <time>${new Date(startTime).toISOString()}</time>
+  </metadata>
+  <trk>
+    <name>${escapeHtml(name)}</name>
+    <type>cycling</type>
+${trksegs.map(trkseg => `    <trkseg>\n${trkseg.join('\n')}\n    </trkseg>`).join('\n')}
+  </trk>
+</gpx>
+`;
+}
+
+// TCX course: one lap and a track whose times drive the head unit's virtual partner
+function buildTCX(rows, startTime, name) {
+    const points = exportPoints(rows, startTime);
+    const first = points[0];
+    const last = points[points.length - 1];
+    const position = point => `<LatitudeDegrees>${point.lat.toFixed(7)}</LatitudeDegrees><LongitudeDegrees>${point.lon.toFixed(7)}</LongitudeDegrees>`;
+    const trackPoints = points.map(point => `          <Trackpoint>
+            <Time>${new Date(point.timestamp).toISOString()}</Time>
+            <Position>${position(point)}</Position>
+            <AltitudeMeters>${point.ele.toFixed(1)}</AltitudeMeters>
+            <DistanceMeters>${point.distance.toFixed(1)}</DistanceMeters>
+            <Extensions><ns3:TPX><ns3:Speed>${point.speed.toFixed(2)}</ns3:Speed><ns3:Watts>${Math.round(point.power)}</ns3:Watts></ns3:TPX></Extensions>
+          </Trackpoint>`).join('\n');
+    
+    // Garmin units show at most 15 characters of a course name
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+  <Courses>
+    <Course>
+      <Name>${escapeHtml(name.slice(0, 15))}</Name>
+      <Lap>
+        <TotalTimeSeconds>${last.elapsed.toFixed(1)}</TotalTimeSeconds>
+        <DistanceMeters>${last.distance.toFixed(1)}</DistanceMeters>
+        <BeginPosition>${position(first)}</BeginPosition>
+        <EndPosition>${position(last)}</EndPosition>
+        <Intensity>Active</Intensity>
+      </Lap>
+      <Track>
+${trackPoints}
+      </Track>
+    </Course>
+  </Courses>
+</TrainingCenterDatabase>
+`;
+}
+
+// FIT course file: file_id, course, lap, a timer start event, one record per point and a
+// timer stop event
+function buildFitCourse(rows, startTime, name) {
+    const points = exportPoints(rows, startTime);
+    const first = points[0];
+    const last = points[points.length - 1];
+    const timestamp = time => Math.round(time / 1000) - fitEpoch;
+    const semicircles = degrees => Math.round(degrees * Math.pow(2, 31) / 180);
+    
+    let ascent = 0;
+    let descent = 0;
+    for (let i = 1; i < points.length; i++) {
+        const climb = points[i].ele - points[i - 1].ele;
+        if (climb > 0) ascent += climb;
+        else descent -= climb;
+    }
+    
+    const timerEvent = (time, eventType) => ({
+        globalNumber: 21, // event
+        fields: [
+            { number: 253, baseType: 0x86, value: timestamp(time) },
+            { number: 0, baseType: 0x00, value: 0 }, // timer
+            { number: 1, baseType: 0x00, value: eventType },
+            { number: 4, baseType: 0x02, value: 0 }
+        ]
+    });
+    
+    const messages = [
+        {
+            globalNumber: 0, // file_id
+            fields: [
+                { number: 0, baseType: 0x00, value: 6 }, // course
+                { number: 1, baseType: 0x84, value: 255 }, // development manufacturer
+                { number: 2, baseType: 0x84, value: 0 },
+                { number: 4, baseType: 0x86, value: timestamp(startTime) }
+            ]
+        },
+        {
+            globalNumber: 31, // course
+            fields: [
+                { number: 4, baseType: 0x00, value: 2 }, // cycling
+                { number: 5, baseType: 0x07, size: 16, value: name }
+            ]
+        },
+        {
+            globalNumber: 19, // lap
+            fields: [
+                { number: 253, baseType: 0x86, value: timestamp(last.timestamp) },
+                { number: 2, baseType: 0x86, value: timestamp(first.timestamp) },
+                { number: 3, baseType: 0x85, value: semicircles(first.lat) },
+                { number: 4, baseType: 0x85, value: semicircles(first.lon) },
+                { number: 5, baseType: 0x85, value: semicircles(last.lat) },
+                { number: 6, baseType: 0x85, value: semicircles(last.lon) },
+                { number: 7, baseType: 0x86, value: Math.round(last.elapsed * 1000) },
+                { number: 8, baseType: 0x86, value: Math.round(last.elapsed * 1000) },
+                { number: 9, baseType: 0x86, value: Math.round(last.distance * 100) },
+                { number: 21, baseType: 0x84, value: Math.round(ascent) },
+                { number: 22, baseType: 0x84, value: Math.round(descent) }
+            ]
+        },
+        timerEvent(first.timestamp, 0), // start
+        ...points.map(point => ({
+            globalNumber: 20, // record
+            fields: [
+                { number: 253, baseType: 0x86, value: timestamp(point.timestamp) },
+                { number: 0, baseType: 0x85, value: semicircles(point.lat) },
+                { number: 1, baseType: 0x85, value: semicircles(point.lon) },
+                { number: 2, baseType: 0x84, value: Math.round((point.ele + 500) * 5) },
+                { number: 5, baseType: 0x86, value: Math.round(point.distance * 100) },
+                { number: 6, baseType: 0x84, value: Math.min(0xFFFE, Math.round(point.speed * 1000)) },
+                { number: 7, baseType: 0x84, value: Math.round(point.power) }
+            ]
+        })),
+        timerEvent(last.timestamp, 4) // stop all
+    ];
+    
+    return encodeFIT(messages);
+}
+
+// Encode FIT data messages, each type of message with a definition (little-endian) the
+// first time it appears. Messages of one type must have the same fields.
+function encodeFIT(messages) {
+    const bytes = [];
+    const scratch = new DataView(new ArrayBuffer(8));
+    const localTypes = {};
+    
+    messages.forEach(message => {
+        let localType = localTypes[message.globalNumber];
+        if (localType === undefined) {
+            localType = localTypes[message.globalNumber] = Object.keys(localTypes).length;
+            bytes.push(0x40 | localType, 0, 0, message.globalNumber & 0xFF, message.globalNumber >> 8, message.fields.length);
+            message.fields.forEach(field => {
+                const size = field.baseType === 0x07 ? field.size : fitBaseTypes[field.baseType][0];
+                bytes.push(field.number, size, field.baseType);
+            });
+        }
+        
+        bytes.push(localType);
+        message.fields.forEach(field => {
+            if (field.baseType === 0x07) {
+                // Strings are null-padded to their size, and always null-terminated
+                const text = new TextEncoder().encode(field.value).slice(0, field.size - 1);
+                for (let i = 0; i < field.size; i++) bytes.push(i < text.length ? text[i] : 0);
+                return;
+            }
+            const [size, type] = fitBaseTypes[field.baseType];
+            scratch['set' + type](0, field.value, true);
+            for (let i = 0; i < size; i++) bytes.push(scratch.getUint8(i));
+        });
+    });
+    
+    // 14-byte header: size, protocol 1.0, profile 21.32, data size, ".FIT", header CRC
+    const header = [14, 0x10, 2132 & 0xFF, 2132 >> 8,
+        bytes.length & 0xFF, (bytes.length >> 8) & 0xFF, (bytes.length >> 16) & 0xFF, (bytes.length >>> 24) & 0xFF,
+        0x2E, 0x46, 0x49, 0x54];
+    const headerCrc = fitCrc(header);
+    header.push(headerCrc & 0xFF, headerCrc >> 8);
+    
+    const file = new Uint8Array(header.length + bytes.length + 2);
+    file.set(header);
+    file.set(bytes, header.length);
+    const crc = fitCrc(file.subarray(0, file.length - 2));
+    file[file.length - 2] = crc & 0xFF;
+    file[file.length - 1] = crc >> 8;
+    return file.buffer;
+}
+
+// FIT CRC-16, over the header or the whole file
+function fitCrc(bytes) {
+    const table = [
+        0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+        0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+    ];
+    let crc = 0;
+    for (const byte of bytes) {
+        let tmp = table[crc & 0xF];
+        crc = ((crc >> 4) & 0x0FFF) ^ tmp ^ table[byte & 0xF];
+        tmp = table[crc & 0xF];
+        crc = ((crc >> 4) & 0x0FFF) ^ tmp ^ table[(byte >> 4) & 0xF];
+    }
+    return crc;
+}
+
+// Route
+
+// Calculate distance between two lat/lon points (Haversine formula)
+function calculateDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371000; // Earth's radius in meters
+    const φ1 = lat1 * Math.PI / 180;
+    const φ2 = lat2 * Math.PI / 180;
+    const Δφ = (lat2 - lat1) * Math.PI / 180;
+    const Δλ = (lon2 - lon1) * Math.PI / 180;
+    
+    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+              Math.cos(φ1) * Math.cos(φ2) *
+              Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    
+    return R * c; // Distance in meters
+}
+
+// Initial bearing from one point to the next, in degrees clockwise from north
+function calculateBearing(lat1, lon1, lat2, lon2) {
+    const φ1 = lat1 * Math.PI / 180;
+    const φ2 = lat2 * Math.PI / 180;
+    const Δλ = (lon2 - lon1) * Math.PI / 180;
+    
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+    
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Clean up raw GPS points before segment computation:
+// duplicate removal -> resampling -> elevation smoothing -> grade clamping
+// Each segment of a track is cleaned up on its own, so nothing is interpolated across a gap.
+function preprocessPoints(points, options) {
+    const runs = splitAtGaps(points);
+    if (runs.length > 1) {
+        return joinRuns(runs.map(run => preprocessPoints(run, options)));
+    }
+    
+    let result = points;
+    
+    if (options.removeDuplicates) {
+        result = removeDuplicatePoints(result);
+    }
+    if (options.resampleDistance > 0) {
+        result = resamplePoints(result, options.resampleDistance);
+    }
+    if (options.smoothingWindow > 0) {
+        if (options.smoothing === 'moving-average') {
+            result = smoothElevationMovingAverage(result, options.smoothingWindow);
+        } else if (options.smoothing === 'savitzky-golay') {
+            result = smoothElevationSavitzkyGolay(result, options.smoothingWindow);
+        }
+    }
+    if (options.maxGrade > 0) {
+        result = clampGrades(result, options.maxGrade / 100);
+    }
+    
+    return result;
+}
+
+// Split points into the runs between gaps (points marked segmentStart begin a new run)
+function splitAtGaps(points) {
+    const runs = [];
+    points.forEach((point, i) => {
+        if (i === 0 || point.segmentStart) runs.push([]);
+        runs[runs.length - 1].push(point);
+    });
+    return runs;
+}
+
+// Join runs back into one list, marking the first point of every run after the first.
+// Marks copied onto other points (by resampling) are dropped.
+function joinRuns(runs) {
+    return runs.flatMap((run, r) => run.map((point, i) => {
+        const { segmentStart, ...rest } = point;
+        return r > 0 && i === 0 ? { ...rest, segmentStart: true } : rest;
+    }));
+}
+
+// Cumulative horizontal distance at each point; gaps add nothing
+function calculateCumulativeDistances(points) {
+    const distances = [0];
+    for (let i = 1; i < points.length; i++) {
+        const p1 = points[i - 1];
+        const p2 = points[i];
+        distances.push(distances[i - 1] + (p2.segmentStart ? 0 : calculateDistance(p1.lat, p1.lon, p2.lat, p2.lon)));
+    }
+    return distances;
+}
+
+// Total ascent (sum of positive elevation changes, not counting gaps)
+function calculateAscent(points) {
+    let ascent = 0;
+    for (let i = 1; i < points.length; i++) {
+        if (points[i].segmentStart) continue;
+        const change = points[i].ele - points[i - 1].ele;
+        if (change > 0) ascent += change;
+    }
+    return ascent;
+}
+
+// Drop points that sit on top of the previous kept point (GPS at a standstill)
+function removeDuplicatePoints(points) {
+    if (points.length === 0) return points;
+    
+    const result = [points[0]];
+    for (let i = 1; i < points.length; i++) {
+        const last = result[result.length - 1];
+        if (calculateDistance(last.lat, last.lon, points[i].lat, points[i].lon) >= duplicateDistance) {
+            result.push(points[i]);
+        }
+    }
+    
+    // Always keep the finish
+    if (result.length > 1 && result[result.length - 1] !== points[points.length - 1]) {
+        result[result.length - 1] = points[points.length - 1];
+    }
+    return result;
+}
+
+// Resample the track at a fixed horizontal spacing, interpolating every numeric field
+function resamplePoints(points, spacing) {
+    if (points.length < 2) return points;
+    
+    const distances = calculateCumulativeDistances(points);
+    const totalDistance = distances[distances.length - 1];
+    const result = [];
+    let j = 0;
+    
+    for (let d = 0; d < totalDistance; d += spacing) {
+        while (j < points.length - 2 && distances[j + 1] <= d) j++;
+        const span = distances[j + 1] - distances[j];
+        const t = span > 0 ? (d - distances[j]) / span : 0;
+        result.push(interpolatePoint(points[j], points[j + 1], t));
+    }
+    result.push(points[points.length - 1]);
+    
+    return result;
+}
+
+// Linear interpolation between two points; non-numeric fields come from the first one
+function interpolatePoint(p1, p2, t) {
+    const point = { ...p1 };
+    Object.keys(p1).forEach(key => {
+        if (typeof p1[key] === 'number' && typeof p2[key] === 'number') {
+            point[key] = p1[key] + (p2[key] - p1[key]) * t;
+        }
+    });
+    return point;
+}
+
+// Centered moving average of elevation over a distance window
+function smoothElevationMovingAverage(points, window) {
+    const distances = calculateCumulativeDistances(points);
+    const halfWindow = window / 2;
+    const result = [];
+    let start = 0;
+    let end = 0;
+    let sum = 0;
+    
+    for (let i = 0; i < points.length; i++) {
+        while (end < points.length && distances[end] - distances[i] <= halfWindow) {
+            sum += points[end].ele;
+            end++;
+        }
+        while (distances[i] - distances[start] > halfWindow) {
+            sum -= points[start].ele;
+            start++;
+        }
+        result.push({ ...points[i], ele: sum / (end - start) });
+    }
+    
+    return result;
+}
+
+// Quadratic Savitzky–Golay filter of elevation. The window is converted to a point
+// count from the average spacing, so it works best on resampled tracks.
+function smoothElevationSavitzkyGolay(points, window) {
+    if (points.length < 5) return points;
+    
+    const distances = calculateCumulativeDistances(points);
+    const spacing = distances[distances.length - 1] / (points.length - 1);
+    const halfWidth = Math.max(2, Math.round(window / spacing / 2));
+    
+    return points.map((point, i) => {
+        // Shrink the window symmetrically near the ends of the track
+        const m = Math.min(halfWidth, i, points.length - 1 - i);
+        if (m < 2) return point;
+        
+        // Convolution coefficients for a quadratic fit over 2m + 1 points
+        const norm = (2 * m - 1) * (2 * m + 1) * (2 * m + 3);
+        let ele = 0;
+        for (let j = -m; j <= m; j++) {
+            const coefficient = (3 * (3 * m * m + 3 * m - 1) - 15 * j * j) / norm;
+            ele += coefficient * points[i + j].ele;
+        }
+        return { ...point, ele: ele };
+    });
+}
+
+// Limit the grade between consecutive points by pulling elevations toward the previous point
+function clampGrades(points, maxGrade) {
+    if (points.length === 0) return points;
+    
+    const result = [points[0]];
+    for (let i = 1; i < points.length; i++) {
+        const previous = result[i - 1];
+        const horizontalDist = calculateDistance(previous.lat, previous.lon, points[i].lat, points[i].lon);
+        const maxChange = maxGrade * horizontalDist;
+        const ele = Math.min(previous.ele + maxChange, Math.max(previous.ele - maxChange, points[i].ele));
+        result.push({ ...points[i], ele: ele });
+    }
+    return result;
+}
+
+// Calculate the turn radius at each point from the circle through the points
+// roughly cornerWindow metres before and after it (Infinity on straights)
+function calculateTurnRadii(points) {
+    const R = 6371000;
+    const radii = new Array(points.length).fill(Infinity);
+    
+    const along = calculateCumulativeDistances(points);
+    
+    let before = 0;
+    let after = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        while (before + 1 < i && along[i] - along[before + 1] >= cornerWindow) before++;
+        if (after < i) after = i;
+        while (after < points.length - 1 && along[after] - along[i] < cornerWindow) after++;
+        
+        if (along[i] - along[before] < cornerWindow || along[after] - along[i] < cornerWindow) continue;
+        
+        // Project the triple onto a local plane around the middle point
+        const pa = points[before];
+        const pb = points[i];
+        const pc = points[after];
+        const cosLat = Math.cos(pb.lat * Math.PI / 180);
+        const ax = (pa.lon - pb.lon) * Math.PI / 180 * R * cosLat;
+        const ay = (pa.lat - pb.lat) * Math.PI / 180 * R;
+        const cx = (pc.lon - pb.lon) * Math.PI / 180 * R * cosLat;
+        const cy = (pc.lat - pb.lat) * Math.PI / 180 * R;
+        
+        // Circumradius: r = abc / (4 · area)
+        const a = Math.hypot(ax, ay);
+        const b = Math.hypot(cx - ax, cy - ay);
+        const c = Math.hypot(cx, cy);
+        const doubleArea = Math.abs(ax * cy - ay * cx);
+        if (doubleArea > 1e-9) {
+            radii[i] = (a * b * c) / (2 * doubleArea);
+        }
+    }
+    
+    return radii;
+}
+
+// Maximum speed through a corner before the tires lose grip at the given lean angle
+function calculateCornerSpeed(radius, leanAngleDeg) {
+    if (!isFinite(radius)) return Infinity;
+    return Math.sqrt(g * radius * Math.tan(leanAngleDeg * Math.PI / 180));
+}
+
+// Calculate segment data (distances, grades, etc.). The jump to the start of the next
+// track segment is a zero-length `gap` segment, so it adds no distance, time or climbing.
+function calculateSegmentData(points) {
+    const segments = [];
+    const radii = splitAtGaps(points).flatMap(calculateTurnRadii);
+    let totalDistance = 0;
+    
+    for (let i = 1; i < points.length; i++) {
+        const p1 = points[i - 1];
+        const p2 = points[i];
+        
+        if (p2.segmentStart) {
+            segments.push({
+                distance: 0,
+                grade: 0,
+                elevation: p2.ele,
+                cumulativeDistance: totalDistance,
+                radius: Infinity,
+                bearing: calculateBearing(p1.lat, p1.lon, p2.lat, p2.lon),
+                surface: p2.surface || 'asphalt',
+                lat: p2.lat,
+                lon: p2.lon,
+                gap: true
+            });
+            continue;
+        }
+        
+        const horizontalDist = calculateDistance(p1.lat, p1.lon, p2.lat, p2.lon);
+        const elevationChange = p2.ele - p1.ele;
+        const distance = Math.sqrt(horizontalDist * horizontalDist + elevationChange * elevationChange);
+        
+        // Avoid division by zero
+        const grade = horizontalDist > 0 ? elevationChange / horizontalDist : 0;
+        
+        totalDistance += distance;
+        
+        segments.push({
+            distance: distance,
+            grade: grade,
+            elevation: p2.ele,
+            cumulativeDistance: totalDistance,
+            radius: radii[i],
+            bearing: calculateBearing(p1.lat, p1.lon, p2.lat, p2.lon),
+            surface: p1.surface || 'asphalt',
+            lat: p2.lat,
+            lon: p2.lon
+        });
+    }
+    
+    return segments;
+}
+
+// Wind, surfaces and air
+
+// Split a wind blowing from windDirection into components along and across the direction
+// of travel. Positive headwind blows against the rider, positive crosswind comes from the right.
+function calculateWindComponents(windSpeed, windDirection, bearing) {
+    const angle = (windDirection - bearing) * Math.PI / 180;
+    return {
+        headwind: windSpeed * Math.cos(angle),
+        crosswind: windSpeed * Math.sin(angle)
+    };
+}
+
+// Wind {speed (m/s), direction (° from)} at a segment, `elapsed` seconds into the ride:
+// the constant sidebar wind, or the loaded profile along the route, over time or by position
+function getWindAt(wind, segment, elapsed) {
+    const profile = wind.profile;
+    if (!profile) {
+        return { speed: wind.speed, direction: wind.direction };
+    }
+    if (profile.type === 'position') {
+        return interpolateWindByPosition(profile.samples, segment.lat, segment.lon);
+    }
+    return interpolateWindSeries(profile.samples, profile.type === 'time' ? elapsed : segment.cumulativeDistance);
+}
+
+// Winds are averaged as vectors so that 350° and 10° average to north, not south
+function windToVector(wind) {
+    const angle = wind.direction * Math.PI / 180;
+    return { east: wind.speed * Math.sin(angle), north: wind.speed * Math.cos(angle) };
+}
+
+function vectorToWind(east, north) {
+    return {
+        speed: Math.sqrt(east * east + north * north),
+        direction: (Math.atan2(east, north) * 180 / Math.PI + 360) % 360
+    };
+}
+
+// Linear interpolation between samples sorted by `at`, held constant past either end
+function interpolateWindSeries(samples, at) {
+    if (at <= samples[0].at) return samples[0];
+    const last = samples[samples.length - 1];
+    if (at >= last.at) return last;
+    
+    let i = 1;
+    while (samples[i].at < at) i++;
+    const before = samples[i - 1];
+    const after = samples[i];
+    const t = (at - before.at) / (after.at - before.at);
+    const a = windToVector(before);
+    const b = windToVector(after);
+    return vectorToWind(a.east + (b.east - a.east) * t, a.north + (b.north - a.north) * t);
+}
+
+// Inverse-distance weighting between wind stations
+function interpolateWindByPosition(samples, lat, lon) {
+    let east = 0;
+    let north = 0;
+    let totalWeight = 0;
+    
+    for (const sample of samples) {
+        const distance = calculateDistance(lat, lon, sample.lat, sample.lon);
+        if (distance < 1) return sample;
+        
+        const weight = 1 / Math.pow(distance, windIdwPower);
+        const vector = windToVector(sample);
+        east += vector.east * weight;
+        north += vector.north * weight;
+        totalWeight += weight;
+    }
+    
+    return vectorToWind(east / totalWeight, north / totalWeight);
+}
+
+// Parse a wind CSV with a header row. Columns `speed` (km/h) and `direction` (° the wind
+// blows from) plus one of: `km` along the route, `hour` of elapsed ride time, or `lat` and `lon`.
+function parseWindCSV(text) {
+    const rows = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => line.split(/[,;\t]/).map(cell => cell.trim()));
+    if (rows.length < 2) {
+        throw new Error('Wind file needs a header row and at least one sample');
+    }
+    
+    const header = rows[0].map(name => name.toLowerCase());
+    const column = (...names) => header.findIndex(name => names.includes(name));
+    const speedColumn = column('speed', 'speed_kmh', 'wind_speed');
+    const directionColumn = column('direction', 'dir', 'wind_direction');
+    const kmColumn = column('km', 'distance_km');
+    const hourColumn = column('hour', 'hours', 'time_h');
+    const latColumn = column('lat', 'latitude');
+    const lonColumn = column('lon', 'lng', 'longitude');
+    
+    if (speedColumn < 0 || directionColumn < 0) {
+        throw new Error('Wind file needs "speed" and "direction" columns');
+    }
+    
+    let type;
+    if (kmColumn >= 0) type = 'distance';
+    else if (hourColumn >= 0) type = 'time';
+    else if (latColumn >= 0 && lonColumn >= 0) type = 'position';
+    else throw new Error('Wind file needs a "km", "hour" or "lat"/"lon" column');
+    
+    const samples = rows.slice(1).map(row => {
+        const sample = {
+            speed: parseFloat(row[speedColumn]) / 3.6, // Convert to m/s
+            direction: parseFloat(row[directionColumn])
+        };
+        if (type === 'distance') sample.at = parseFloat(row[kmColumn]) * 1000;
+        if (type === 'time') sample.at = parseFloat(row[hourColumn]) * 3600;
+        if (type === 'position') {
+            sample.lat = parseFloat(row[latColumn]);
+            sample.lon = parseFloat(row[lonColumn]);
+        }
+        return sample;
+    }).filter(sample => Object.values(sample).every(value => !isNaN(value)));
+    
+    if (samples.length === 0) {
+        throw new Error('No valid wind samples found');
+    }
+    if (type !== 'position') {
+        samples.sort((a, b) => a.at - b.at);
+    }
+    
+    return { type, samples };
+}
+
+// Map an OSM surface tag (or one of our ids) to a surface id; null when unknown
+function normalizeSurface(tag) {
+    const value = String(tag).trim().toLowerCase();
+    const surface = surfaceTypes.find(type => type.id === value || type.tags.includes(value));
+    return surface ? surface.id : null;
+}
+
+function getSurfaceType(id) {
+    return surfaceTypes.find(type => type.id === id) || surfaceTypes[0];
+}
+
+// Crr of a surface for the rider's tire. Wider tires roll a little easier; pressure costs
+// the further it is from the best pressure for the surface (high on smooth roads, low on
+// rough ones, where a hard tire bounces), which scales inversely with the width.
+// tire.crr is the tire model's own Crr on asphalt at 28 mm; every surface scales with it.
+function calculateSurfaceCrr(surfaceId, tire) {
+    const surface = getSurfaceType(surfaceId);
+    const bestPressure = surface.bestPressure * referenceTireWidth / tire.width;
+    const pressureError = (tire.pressure - bestPressure) / bestPressure;
+    const widthFactor = Math.pow(referenceTireWidth / tire.width, 0.25);
+    const tireFactor = tire.crr / Crr; // faster or slower casing than the reference tire
+    return surface.crr * tireFactor * widthFactor * (1 + tirePressurePenalty * pressureError * pressureError);
+}
+
+// Surface of each segment, in increasing priority: the GPX tag (already on the segment),
+// the nearest way of a loaded surface file, then ranges painted on the route
+function assignSurfaces(segments, index, paint) {
+    segments.forEach(segment => {
+        if (index) {
+            const mapped = findSurfaceNear(index, segment.lat, segment.lon);
+            if (mapped) segment.surface = mapped;
+        }
+        const middle = segment.cumulativeDistance - segment.distance / 2;
+        paint.forEach(range => {
+            if (middle >= range.from && middle <= range.to) segment.surface = range.surface;
+        });
+    });
+    return segments;
+}
+
+// Speed cap (m/s) of the segments in slow zones [{from, to (m along the route), speed}];
+// where zones overlap the lowest speed applies
+function assignSlowZones(segments, zones) {
+    segments.forEach(segment => {
+        const middle = segment.cumulativeDistance - segment.distance / 2;
+        zones.forEach(zone => {
+            if (middle >= zone.from && middle <= zone.to) {
+                segment.speedCap = Math.min(segment.speedCap !== undefined ? segment.speedCap : Infinity, zone.speed);
+            }
+        });
+    });
+    return segments;
+}
+
+// Stops [{name, distance (m along the route), duration (s)}] end the first segment that
+// reaches their distance; the rider comes to a halt there and waits `duration`
+function assignStops(segments, stops) {
+    const distances = segments.map(segment => segment.cumulativeDistance);
+    stops.forEach(stop => {
+        const segment = segments[indexAtDistance(distances, stop.distance)];
+        if (!segment) return;
+        segment.stop = segment.stop
+            ? { name: `${segment.stop.name} / ${stop.name}`, duration: segment.stop.duration + stop.duration }
+            : { name: stop.name, duration: stop.duration };
+    });
+    return segments;
+}
+
+// First index whose (ascending) distance reaches `distance`, or the last one
+function indexAtDistance(distances, distance) {
+    let low = 0;
+    let high = distances.length - 1;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (distances[mid] < distance) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+// Surface-tagged ways from an OSM XML export or a GeoJSON file (e.g. from Overpass)
+function parseSurfaceFile(text) {
+    const trimmed = text.trim();
+    const ways = trimmed.startsWith('{') ? parseSurfaceGeoJSON(JSON.parse(trimmed)) : parseSurfaceOSM(trimmed);
+    if (ways.length === 0) {
+        throw new Error('No ways with a known surface tag found');
+    }
+    return ways;
+}
+
+function parseSurfaceGeoJSON(geojson) {
+    const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+    const ways = [];
+    features.forEach(feature => {
+        const properties = feature.properties || {};
+        const surface = normalizeSurface(properties.surface || (properties.tags && properties.tags.surface) || '');
+        const geometry = feature.geometry;
+        if (!surface || !geometry) return;
+        
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+            : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+        lines.forEach(line => {
+            ways.push({ surface, coords: line.map(([lon, lat]) => ({ lat, lon })) });
+        });
+    });
+    return ways;
+}
+
+function parseSurfaceOSM(xmlText) {
+    let xmlDoc;
+    try {
+        xmlDoc = parseXML(xmlText);
+    } catch (error) {
+        throw new Error('Invalid OSM file');
+    }
+    
+    const nodes = new Map();
+    findElements(xmlDoc, 'node').forEach(node => {
+        nodes.set(node.attributes.id, {
+            lat: parseFloat(node.attributes.lat),
+            lon: parseFloat(node.attributes.lon)
+        });
+    });
+    
+    const ways = [];
+    findElements(xmlDoc, 'way').forEach(way => {
+        const tag = findElements(way, 'tag').find(t => t.attributes.k === 'surface');
+        const surface = tag ? normalizeSurface(tag.attributes.v) : null;
+        if (!surface) return;
+        
+        const coords = findElements(way, 'nd')
+            .map(nd => nodes.get(nd.attributes.ref))
+            .filter(Boolean);
+        if (coords.length > 1) ways.push({ surface, coords });
+    });
+    return ways;
+}
+
+// Grid of cells, each listing the way segments that pass near it
+function buildSurfaceIndex(ways) {
+    const cells = new Map();
+    const cellKey = (row, column) => `${row}:${column}`;
+    
+    ways.forEach(way => {
+        for (let i = 1; i < way.coords.length; i++) {
+            const a = way.coords[i - 1];
+            const b = way.coords[i];
+            const rowMin = Math.floor(Math.min(a.lat, b.lat) / surfaceGridSize);
+            const rowMax = Math.floor(Math.max(a.lat, b.lat) / surfaceGridSize);
+            const columnMin = Math.floor(Math.min(a.lon, b.lon) / surfaceGridSize);
+            const columnMax = Math.floor(Math.max(a.lon, b.lon) / surfaceGridSize);
+            
+            for (let row = rowMin; row <= rowMax; row++) {
+                for (let column = columnMin; column <= columnMax; column++) {
+                    const key = cellKey(row, column);
+                    if (!cells.has(key)) cells.set(key, []);
+                    cells.get(key).push({ a, b, surface: way.surface });
+                }
+            }
+        }
+    });
+    
+    return { cells, ways: ways.length };
+}
+
+// Surface of the nearest way within surfaceMatchDistance, or null
+function findSurfaceNear(index, lat, lon) {
+    const row = Math.floor(lat / surfaceGridSize);
+    const column = Math.floor(lon / surfaceGridSize);
+    
+    // Equirectangular projection around the point is plenty at these distances
+    const metersPerLat = 110540;
+    const metersPerLon = 111320 * Math.cos(lat * Math.PI / 180);
+    const project = p => ({ x: (p.lon - lon) * metersPerLon, y: (p.lat - lat) * metersPerLat });
+    
+    let best = null;
+    let bestDistance = surfaceMatchDistance;
+    for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+            const candidates = index.cells.get(`${row + dr}:${column + dc}`) || [];
+            candidates.forEach(candidate => {
+                const a = project(candidate.a);
+                const b = project(candidate.b);
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const lengthSquared = dx * dx + dy * dy;
+                const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared)) : 0;
+                const distance = Math.hypot(a.x + t * dx, a.y + t * dy);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = candidate.surface;
+                }
+            });
+        }
+    }
+    return best;
+}
+
+// Air density (kg/m³) at an elevation for the weather in `air`. Pressure falls with the
+// standard atmosphere; the humid part of the air is lighter than dry air.
+function calculateAirDensity(elevation, air) {
+    const height = air.useElevation ? elevation : 0;
+    const pressure = air.pressure * 100 * Math.pow(1 - 2.25577e-5 * height, 5.25588); // Pa
+    const kelvin = air.temperature + 273.15;
+    
+    // Saturation vapour pressure (Tetens), in Pa
+    const saturation = 610.78 * Math.pow(10, 7.5 * air.temperature / (air.temperature + 237.3));
+    const vaporPressure = air.humidity / 100 * saturation;
+    
+    return (pressure - vaporPressure) / (dryAirConstant * kelvin) + vaporPressure / (waterVaporConstant * kelvin);
+}
+
+// Physics
+
+// Gravity, rolling and air forces (N) for a given speed and grade.
+// Drag acts on the airspeed: ground speed plus the headwind (negative in a tailwind).
+function calculateForceComponents(speed_ms, grade, mass, CdA, conditions = calmConditions) {
+    const theta = Math.atan(grade);
+    const airspeed = speed_ms + conditions.headwind;
+    return {
+        gravity: mass * g * Math.sin(theta),
+        rolling: mass * g * Math.cos(theta) * conditions.Crr,
+        air: 0.5 * conditions.rho * CdA * conditions.draft * airspeed * Math.abs(airspeed)
+    };
+}
+
+// Calculate total resistive force for a given speed and grade
+function calculateResistiveForce(speed_ms, grade, mass, CdA, conditions = calmConditions) {
+    const forces = calculateForceComponents(speed_ms, grade, mass, CdA, conditions);
+    return forces.gravity + forces.rolling + forces.air;
+}
+
+// Calculate power needed for a given speed and grade
+function calculatePowerNeeded(speed_ms, grade, mass, CdA, conditions = calmConditions) {
+    return calculateResistiveForce(speed_ms, grade, mass, CdA, conditions) * speed_ms;
+}
+
+// Mass to accelerate: rider + bike plus the rotating wheels' equivalent mass
+function calculateEffectiveMass(mass) {
+    return mass + wheelInertia / (wheelRadius * wheelRadius);
+}
+
+// Solve for speed given power limit and constraints
+function calculateSpeed(grade, mass, CdA, Pmax, Vmax_ms, conditions = calmConditions) {
+    // Check if we can reach Vmax with available power
+    const powerAtVmax = calculatePowerNeeded(Vmax_ms, grade, mass, CdA, conditions);
+    if (powerAtVmax <= Pmax) {
+        return Vmax_ms; // Can reach max speed with available power
+    }
+    
+    // We can't reach Vmax, so find the speed achievable with Pmax
+    // Binary search for speed where power needed = Pmax
+    let vMin = 0.1;
+    let vMax = Vmax_ms;
+    const tolerance = 0.001;
+    const maxIterations = 100;
+    let iterations = 0;
+    
+    while (vMax - vMin > tolerance && iterations < maxIterations) {
+        const vMid = (vMin + vMax) / 2;
+        const powerNeeded = calculatePowerNeeded(vMid, grade, mass, CdA, conditions);
+        
+        if (powerNeeded < Pmax) {
+            vMin = vMid; // Can go faster with available power
+        } else {
+            vMax = vMid; // Need more power than available
+        }
+        iterations++;
+    }
+    
+    return (vMin + vMax) / 2;
+}
+
+// Maximum speed allowed at the end of each segment: Vmax, the corner speed, slow zones
+// (entered at their speed) and stops (a halt), and a backward pass so the rider can brake
+// down in time for the next corner, zone or stop. The pass stops at gaps between track
+// segments, where the ride restarts.
+function calculateSpeedLimits(segments, Vmax_ms, leanAngleDeg, maxDeceleration) {
+    const limits = new Array(segments.length);
+    
+    for (let i = segments.length - 1; i >= 0; i--) {
+        let limit = Math.min(Vmax_ms, calculateCornerSpeed(segments[i].radius, leanAngleDeg));
+        if (segments[i].speedCap !== undefined) limit = Math.min(limit, segments[i].speedCap);
+        if (segments[i].stop) limit = 0;
+        if (i < segments.length - 1 && !segments[i].gap) {
+            const next = segments[i + 1];
+            if (next.speedCap !== undefined) limit = Math.min(limit, next.speedCap);
+            limit = Math.min(limit, Math.sqrt(limits[i + 1] * limits[i + 1] + 2 * maxDeceleration * next.distance));
+        }
+        limits[i] = limit;
+    }
+    
+    return limits;
+}
+
+// Ride through one segment with a time-stepped kinetic energy balance.
+// Power in minus resistive work changes the kinetic energy of the effective mass,
+// so speed carries over from the previous segment instead of jumping to steady state.
+function simulateSegment(segment, entrySpeed, exitLimit, targetPower, params, wPrimeBalance = params.wPrime, conditions = calmConditions) {
+    const { mass, CdA, Vmax_ms, maxDeceleration, CP, wPrime } = params;
+    const effectiveMass = calculateEffectiveMass(mass);
+    
+    // Gaps between track segments take no time, and the next one starts from a standstill:
+    // the gap may have lasted hours
+    if (segment.distance <= 0) {
+        const exitSpeed = segment.gap ? 0 : entrySpeed;
+        return { time: 0, exitSpeed: exitSpeed, power: 0, braking: false, wPrimeBalance: wPrimeBalance };
+    }
+    
+    // Slow zones lower the top speed of their segments
+    const vmax = segment.speedCap !== undefined ? Math.min(Vmax_ms, segment.speedCap) : Vmax_ms;
+    
+    // Steady-state speed is where the rider would settle; never integrate past it
+    let availablePower = targetPower;
+    let steadySpeed = calculateSpeed(segment.grade, mass, CdA, availablePower, vmax, conditions);
+    
+    const steps = Math.max(1, Math.ceil(segment.distance / integrationStep));
+    const stepDistance = segment.distance / steps;
+    
+    let speed = entrySpeed;
+    let time = 0;
+    let work = 0;
+    let braking = false;
+    
+    for (let i = 0; i < steps; i++) {
+        // Highest speed allowed at the end of this step on the braking curve
+        const remaining = segment.distance - (i + 1) * stepDistance;
+        const cap = Math.min(vmax, Math.sqrt(exitLimit * exitLimit + 2 * maxDeceleration * remaining));
+        
+        // With W′ exhausted the rider can hold no more than CP until it recovers
+        if (wPrimeBalance <= 0 && availablePower > CP) {
+            availablePower = CP;
+            steadySpeed = calculateSpeed(segment.grade, mass, CdA, availablePower, vmax, conditions);
+        }
+        
+        // Propulsive force is P / v; floor v so a standing start stays finite
+        const pedalSpeed = Math.max(speed, 1);
+        const resistiveForce = calculateResistiveForce(speed, segment.grade, mass, CdA, conditions);
+        let power = availablePower;
+        
+        // Work-energy theorem over the step: ½·m·v1² = ½·m·v0² + F·ds
+        const netForce = power / pedalSpeed - resistiveForce;
+        const nextSpeedSquared = speed * speed + 2 * netForce * stepDistance / effectiveMass;
+        let nextSpeed = Math.sqrt(Math.max(0, nextSpeedSquared));
+        if (speed <= steadySpeed) {
+            nextSpeed = Math.min(nextSpeed, steadySpeed);
+        } else {
+            nextSpeed = Math.max(nextSpeed, steadySpeed);
+        }
+        
+        if (nextSpeed >= cap) {
+            // Ease off just enough to arrive at the cap (or hold Vmax); brake if even coasting is too fast,
+            // which includes holding the speed of a slow zone
+            const requiredForce = effectiveMass * (cap * cap - speed * speed) / (2 * stepDistance) + resistiveForce;
+            power = Math.min(power, Math.max(0, requiredForce * pedalSpeed));
+            if (requiredForce < 0 && cap < Vmax_ms - 0.01) {
+                braking = true;
+            }
+            nextSpeed = cap;
+        }
+        
+        const stepTime = stepDistance / Math.max((speed + nextSpeed) / 2, minSpeed);
+        time += stepTime;
+        work += power * stepTime;
+        wPrimeBalance = updateWPrimeBalance(wPrimeBalance, power, stepTime, CP, wPrime);
+        speed = nextSpeed;
+    }
+    
+    return {
+        time: time,
+        exitSpeed: speed,
+        power: time > 0 ? work / time : 0,
+        braking: braking,
+        wPrimeBalance: wPrimeBalance
+    };
+}
+
+// W′ balance after riding at a power for a while (differential model): W′ drains
+// one-for-one above CP and recovers exponentially towards full below it
+function updateWPrimeBalance(balance, power, duration, CP, wPrime) {
+    if (power > CP) {
+        return balance - (power - CP) * duration;
+    }
+    return wPrime - (wPrime - balance) * Math.exp(-(CP - power) * duration / wPrime);
+}
+
+// Fit CdA and Crr to a recorded ride with power using the virtual elevation (Chung) method.
+// Per recorded interval, the energy balance of calculatePowerNeeded plus kinetic energy gives
+//   Δh = (P·dt − ½·m_eff·Δ(v²)) / (m·g) − Crr·d − CdA·ρ·v²·d / (2·m·g)
+// which is linear in Crr and CdA, so they are found with least squares on the elevation changes.
+// ρ is taken at each interval's elevation for the weather in `air`.
+function fitDragAndRolling(points, mass, air) {
+    const effectiveMass = calculateEffectiveMass(mass);
+    const intervals = [];
+    let previousSpeed = null;
+    
+    for (let i = 1; i < points.length; i++) {
+        const p1 = points[i - 1];
+        const p2 = points[i];
+        const dt = p1.time !== undefined && p2.time !== undefined ? (p2.time - p1.time) / 1000 : 0;
+        const horizontalDist = calculateDistance(p1.lat, p1.lon, p2.lat, p2.lon);
+        const elevationChange = p2.ele - p1.ele;
+        const distance = Math.sqrt(horizontalDist * horizontalDist + elevationChange * elevationChange);
+        const speed = dt > 0 ? distance / dt : 0;
+        
+        // Skip pauses, crawling and intervals without power; they restart the speed history
+        const usable = dt > 0 && dt <= calibrationMaxGap && speed >= calibrationMinSpeed && p2.power !== undefined && !p2.segmentStart;
+        if (!usable || previousSpeed === null) {
+            intervals.push({ index: i, usable: false, elevationChange });
+            previousSpeed = usable ? speed : null;
+            continue;
+        }
+        
+        const kineticTerm = 0.5 * effectiveMass * (speed * speed - previousSpeed * previousSpeed);
+        intervals.push({
+            index: i,
+            usable: true,
+            elevationChange,
+            a: (p2.power * dt - kineticTerm) / (mass * g),
+            b: distance,
+            c: calculateAirDensity((p1.ele + p2.ele) / 2, air) * speed * speed * distance / (2 * mass * g)
+        });
+        previousSpeed = speed;
+    }
+    
+    const used = intervals.filter(interval => interval.usable);
+    if (used.length < 30) {
+        throw new Error('Not enough moving intervals with power and time to fit CdA and Crr');
+    }
+    
+    // Least squares without intercept: (a − Δh) = Crr·b + CdA·c
+    let sbb = 0, sbc = 0, scc = 0, sby = 0, scy = 0;
+    used.forEach(interval => {
+        const y = interval.a - interval.elevationChange;
+        sbb += interval.b * interval.b;
+        sbc += interval.b * interval.c;
+        scc += interval.c * interval.c;
+        sby += interval.b * y;
+        scy += interval.c * y;
+    });
+    const determinant = sbb * scc - sbc * sbc;
+    if (Math.abs(determinant) < 1e-9 * sbb * scc) {
+        throw new Error('Speed does not vary enough to separate CdA from Crr');
+    }
+    const Crr_fit = (sby * scc - scy * sbc) / determinant;
+    const CdA_fit = (scy * sbb - sby * sbc) / determinant;
+    
+    // Virtual elevation profile; skipped intervals follow the recorded elevation
+    const virtualElevation = [points[0].ele];
+    let squaredError = 0;
+    let squaredIntervalError = 0;
+    let squaredIntervalTotal = 0;
+    const meanChange = used.reduce((sum, interval) => sum + interval.elevationChange, 0) / used.length;
+    
+    intervals.forEach(interval => {
+        let change = interval.elevationChange;
+        if (interval.usable) {
+            change = interval.a - Crr_fit * interval.b - CdA_fit * interval.c;
+            squaredIntervalError += Math.pow(change - interval.elevationChange, 2);
+            squaredIntervalTotal += Math.pow(interval.elevationChange - meanChange, 2);
+        }
+        const ve = virtualElevation[virtualElevation.length - 1] + change;
+        virtualElevation.push(ve);
+        squaredError += Math.pow(ve - points[interval.index].ele, 2);
+    });
+    
+    return {
+        CdA: CdA_fit,
+        Crr: Crr_fit,
+        intervals: used.length,
+        rmse: Math.sqrt(squaredError / intervals.length),
+        rSquared: squaredIntervalTotal > 0 ? 1 - squaredIntervalError / squaredIntervalTotal : 0,
+        virtualElevation: virtualElevation,
+        residuals: virtualElevation.map((ve, i) => ve - points[i].ele)
+    };
+}
+
+// Riding the route
+
+// Ride the whole route. targetPowers[i] is the power the rider aims for on segment i;
+// speed carries over from one segment to the next.
+function simulateRide(segments, speedLimits, targetPowers, params) {
+    const results = [];
+    let speed = 0; // Start from a standstill
+    let wPrimeBalance = params.wPrime; // and fresh
+    let totalTime = 0;
+    let stoppedTime = 0;
+    
+    for (let i = 0; i < segments.length; i++) {
+        // Time-based wind depends on when the rider gets here, stops included
+        const wind = getWindAt(params.wind, segments[i], totalTime + stoppedTime);
+        const conditions = {
+            ...calculateWindComponents(wind.speed, wind.direction, segments[i].bearing),
+            rho: calculateAirDensity(segments[i].elevation, params.air),
+            Crr: calculateSurfaceCrr(segments[i].surface, params.tire),
+            draft: params.draft
+        };
+        
+        const result = simulateSegment(segments[i], speed, speedLimits[i], targetPowers[i], params, wPrimeBalance, conditions);
+        result.wind = wind;
+        result.headwind = conditions.headwind;
+        result.crosswind = conditions.crosswind;
+        result.rho = conditions.rho;
+        result.Crr = conditions.Crr;
+        speed = result.exitSpeed;
+        wPrimeBalance = result.wPrimeBalance;
+        totalTime += result.time;
+        
+        // W′ recovers while the rider waits at a stop
+        result.dwell = segments[i].stop ? segments[i].stop.duration : 0;
+        if (result.dwell > 0) {
+            wPrimeBalance = updateWPrimeBalance(wPrimeBalance, 0, result.dwell, params.CP, params.wPrime);
+            stoppedTime += result.dwell;
+        }
+        results.push(result);
+    }
+    
+    // totalTime is the moving time
+    return { segments: results, totalTime: totalTime, stoppedTime: stoppedTime, elapsedTime: totalTime + stoppedTime };
+}
+
+// CdA multiplier for a place in the paceline (1 = front)
+function getDraftFactor(position) {
+    return draftFactors[Math.min(position, draftFactors.length) - 1];
+}
+
+// Team time trial: the riders hold one speed, taking turns of `rotation` seconds on the
+// front and dropping to the back. On every segment the rider who would be slowest at
+// their Pmax in their current place sets the pace, or the rider that pace would push past
+// their Pmax; the others ride what that speed costs. Per rider, `shortfall` is the power
+// still missing when no pace suits everyone. Riders ride at their own Pmax without the W′ model.
+// A segment's `power` is the first rider's, so the data rows (work, kcal, cadence) follow them.
+function simulateTeamRide(segments, speedLimits, params, group) {
+    const riders = group.riders;
+    const riderParams = riders.map(rider => ({
+        ...params,
+        mass: rider.mass,
+        CdA: rider.CdA,
+        Pmax: rider.Pmax,
+        CP: rider.Pmax
+    }));
+    const results = [];
+    let speed = 0;
+    let totalTime = 0;
+    let stoppedTime = 0;
+    
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        const wind = getWindAt(params.wind, segment, totalTime + stoppedTime);
+        const baseConditions = {
+            ...calculateWindComponents(wind.speed, wind.direction, segment.bearing),
+            rho: calculateAirDensity(segment.elevation, params.air),
+            Crr: calculateSurfaceCrr(segment.surface, params.tire)
+        };
+        
+        const front = Math.floor(totalTime / group.rotation) % riders.length;
+        const conditions = riders.map((rider, r) => ({
+            ...baseConditions,
+            draft: getDraftFactor((r - front + riders.length) % riders.length + 1)
+        }));
+        
+        let pacesetter = 0;
+        let slowest = Infinity;
+        riders.forEach((rider, r) => {
+            const steadySpeed = calculateSpeed(segment.grade, rider.mass, rider.CdA, rider.Pmax, params.Vmax_ms, conditions[r]);
+            if (steadySpeed < slowest) {
+                slowest = steadySpeed;
+                pacesetter = r;
+            }
+        });
+        
+        // Accelerating can cost a heavier rider more than the pacesetter's pace allows; the rider
+        // furthest past their Pmax then sets the pace instead
+        let result;
+        let neededPowers;
+        for (let attempt = 0; attempt < riders.length; attempt++) {
+            result = simulateSegment(segment, speed, speedLimits[i], riders[pacesetter].Pmax,
+                riderParams[pacesetter], params.wPrime, conditions[pacesetter]);
+            neededPowers = calculateTeamPowers(segment, speed, result, riders, pacesetter, conditions);
+            
+            let limiter = pacesetter;
+            let worstRatio = 1 + teamPowerTolerance;
+            riders.forEach((rider, r) => {
+                if (r !== pacesetter && neededPowers[r] > worstRatio * rider.Pmax) {
+                    worstRatio = neededPowers[r] / rider.Pmax;
+                    limiter = r;
+                }
+            });
+            if (limiter === pacesetter) break;
+            pacesetter = limiter;
+        }
+        
+        // What nobody could hold even then is left as a shortfall
+        const riderPowers = riders.map((rider, r) => Math.min(rider.Pmax, neededPowers[r]));
+        const shortfall = riders.map((rider, r) =>
+            neededPowers[r] > (1 + teamPowerTolerance) * rider.Pmax ? neededPowers[r] - rider.Pmax : 0);
+        
+        speed = result.exitSpeed;
+        totalTime += result.time;
+        const dwell = segment.stop ? segment.stop.duration : 0;
+        stoppedTime += dwell;
+        results.push({
+            ...result,
+            dwell: dwell,
+            power: riderPowers[0],
+            riderPowers: riderPowers,
+            shortfall: shortfall,
+            front: front,
+            pacesetter: pacesetter,
+            wind: wind,
+            headwind: baseConditions.headwind,
+            crosswind: baseConditions.crosswind,
+            rho: baseConditions.rho,
+            Crr: baseConditions.Crr
+        });
+    }
+    
+    return { segments: results, totalTime: totalTime, stoppedTime: stoppedTime, elapsedTime: totalTime + stoppedTime };
+}
+
+// Power each team rider needs to follow the pacesetter through a segment: resistive work at
+// the segment's average speed plus the change in kinetic energy
+function calculateTeamPowers(segment, entrySpeed, result, riders, pacesetter, conditions) {
+    const averageSpeed = segment.distance / result.time;
+    return riders.map((rider, r) => {
+        if (r === pacesetter || result.time === 0) return result.power;
+        const work = calculateResistiveForce(averageSpeed, segment.grade, rider.mass, rider.CdA, conditions[r]) * segment.distance +
+            0.5 * calculateEffectiveMass(rider.mass) * (result.exitSpeed * result.exitSpeed - entrySpeed * entrySpeed);
+        return Math.max(0, work / result.time);
+    });
+}
+
+// Per-segment target power for a pacing strategy around the base power Pmax
+function calculatePacingPowers(strategy, segments, Pmax, pacing) {
+    return segments.map(segment => {
+        const gradePercent = segment.grade * 100;
+        
+        if (strategy === 'grade' || strategy === 'np-target') {
+            // Push harder uphill, ease off downhill
+            const factor = Math.min(1 + pacingMaxBoost, Math.max(0, 1 + pacing.gradeGain * gradePercent));
+            return Pmax * factor;
+        }
+        if (strategy === 'soft-pedal' && gradePercent < -pacing.descentThreshold) {
+            return Math.min(Pmax, pacing.softPedalPower);
+        }
+        return Pmax;
+    });
+}
+
+// Simulate one pacing strategy. The NP/IF budget scales the grade-proportional
+// profile until the ride's normalized power matches IF × FTP.
+function simulatePacing(strategy, segments, speedLimits, params, pacing) {
+    let powers = calculatePacingPowers(strategy, segments, params.Pmax, pacing);
+    let ride = simulateRide(segments, speedLimits, powers, params);
+    
+    if (strategy === 'np-target') {
+        const targetNP = pacing.targetIF * pacing.ftp;
+        const shape = powers.map(power => power / params.Pmax);
+        let scale = params.Pmax;
+        
+        // NP is close to proportional to the scale, so a few fixed-point steps converge
+        for (let iteration = 0; iteration < 6; iteration++) {
+            const np = calculateNormalizedPower(ride.segments);
+            if (np <= 0 || Math.abs(np - targetNP) < 1) break;
+            scale = Math.min(scale * targetNP / np, 5 * targetNP);
+            powers = shape.map(factor => factor * scale);
+            ride = simulateRide(segments, speedLimits, powers, params);
+        }
+    }
+    
+    return {
+        strategy: strategy,
+        ride: ride,
+        avgPower: calculateAveragePower(ride.segments),
+        normalizedPower: calculateNormalizedPower(ride.segments)
+    };
+}
+
+// Time-weighted average power of simulated segments
+function calculateAveragePower(segmentResults) {
+    let work = 0;
+    let time = 0;
+    segmentResults.forEach(result => {
+        work += result.power * result.time;
+        time += result.time;
+    });
+    return time > 0 ? work / time : 0;
+}
+
+// Normalized power: 30 s rolling average of a 1 Hz power series, 4th-power mean
+function calculateNormalizedPower(segmentResults) {
+    // Resample the segment powers to one value per second
+    const samples = [];
+    let energy = 0;
+    let filled = 0;
+    segmentResults.forEach(result => {
+        let remaining = result.time;
+        while (remaining > 0) {
+            const take = Math.min(remaining, 1 - filled);
+            energy += result.power * take;
+            filled += take;
+            remaining -= take;
+            if (filled >= 1 - 1e-9) {
+                samples.push(energy);
+                energy = 0;
+                filled = 0;
+            }
+        }
+    });
+    if (filled > 0) samples.push(energy / filled);
+    
+    if (samples.length < 30) {
+        return samples.length > 0 ? samples.reduce((sum, p) => sum + p, 0) / samples.length : 0;
+    }
+    
+    let rolling = 0;
+    let sumFourth = 0;
+    let count = 0;
+    for (let i = 0; i < samples.length; i++) {
+        rolling += samples[i];
+        if (i >= 30) rolling -= samples[i - 30];
+        if (i >= 29) {
+            sumFourth += Math.pow(rolling / 30, 4);
+            count++;
+        }
+    }
+    return Math.pow(sumFourth / count, 0.25);
+}
+
+// Cost per second of riding at a power, in units of the optimiser's constraint:
+// work for average power, the 4th power for NP, work above CP for W′
+function optimizerCost(power, params, options) {
+    if (options.constraint === 'np') {
+        return Math.pow(power / options.target, 4);
+    }
+    if (options.constraint === 'w-prime') {
+        return Math.max(0, power - params.CP) / params.CP;
+    }
+    return power / options.target;
+}
+
+// Steady-state speeds on the optimiser's coarse power grid; they do not depend on λ
+function calculateGridSpeeds(grade, conditions, params, options) {
+    const speeds = [];
+    for (let power = 0; power <= options.ceiling; power += optimizerPowerStep) {
+        speeds.push(calculateSpeed(grade, params.mass, params.CdA, power, params.Vmax_ms, conditions));
+    }
+    return speeds;
+}
+
+// Power that minimises time + λ·cost per metre on a given grade, headwind and air
+// density (steady state). A coarse grid finds the basin, golden-section search refines it.
+function optimalPowerForGrade(grade, conditions, lambda, params, options, gridSpeeds) {
+    const objective = power => {
+        const speed = calculateSpeed(grade, params.mass, params.CdA, power, params.Vmax_ms, conditions);
+        return (1 + lambda * optimizerCost(power, params, options)) / speed;
+    };
+    
+    let bestPower = 0;
+    let bestValue = Infinity;
+    gridSpeeds.forEach((speed, i) => {
+        const power = i * optimizerPowerStep;
+        const value = (1 + lambda * optimizerCost(power, params, options)) / speed;
+        if (value < bestValue) {
+            bestValue = value;
+            bestPower = power;
+        }
+    });
+    
+    let low = Math.max(0, bestPower - optimizerPowerStep);
+    let high = Math.min(options.ceiling, bestPower + optimizerPowerStep);
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    for (let i = 0; i < 10; i++) {
+        const a = high - ratio * (high - low);
+        const b = low + ratio * (high - low);
+        if (objective(a) < objective(b)) high = b;
+        else low = a;
+    }
+    return (low + high) / 2;
+}
+
+// Target power for every segment at a given λ. The optimum only depends on the grade,
+// headwind, air density and Crr, so it is solved once per bin of these.
+// gridCache keeps the grid speeds of each bin between calls.
+function planPacingPowers(segments, segmentConditions, lambda, params, options, gridCache) {
+    const byBin = new Map();
+    return segments.map((segment, i) => {
+        const gradeBin = Math.round(segment.grade / optimizerGradeBin);
+        const windBin = Math.round(segmentConditions[i].headwind / optimizerWindBin);
+        const rhoBin = Math.round(segmentConditions[i].rho / optimizerRhoBin);
+        const segmentCrr = segmentConditions[i].Crr;
+        const key = `${gradeBin}:${windBin}:${rhoBin}:${segmentCrr}`;
+        if (!byBin.has(key)) {
+            const grade = gradeBin * optimizerGradeBin;
+            const conditions = {
+                headwind: windBin * optimizerWindBin,
+                crosswind: 0,
+                rho: rhoBin * optimizerRhoBin,
+                Crr: segmentCrr,
+                draft: params.draft
+            };
+            if (!gridCache.has(key)) {
+                gridCache.set(key, calculateGridSpeeds(grade, conditions, params, options));
+            }
+            byBin.set(key, optimalPowerForGrade(grade, conditions, lambda, params, options, gridCache.get(key)));
+        }
+        return byBin.get(key);
+    });
+}
+
+// Minimise finish time subject to an average power, NP or W′ balance constraint.
+// λ trades time against the constraint; bisection (on log λ) finds the smallest λ
+// whose kinetic simulation still satisfies it.
+function optimizePacing(segments, speedLimits, params, options) {
+    // Headwinds (which may change with the time of day) are taken from the constant-Pmax ride
+    const baseline = simulateRide(segments, speedLimits, segments.map(() => params.Pmax), params);
+    const segmentConditions = baseline.segments.map(segment => ({ headwind: segment.headwind, rho: segment.rho, Crr: segment.Crr }));
+    const gridCache = new Map();
+    
+    const evaluate = logLambda => {
+        const powers = planPacingPowers(segments, segmentConditions, Math.pow(10, logLambda), params, options, gridCache);
+        const ride = simulateRide(segments, speedLimits, powers, params);
+        const avgPower = calculateAveragePower(ride.segments);
+        const normalizedPower = calculateNormalizedPower(ride.segments);
+        const minWPrimeBalance = ride.segments.reduce((min, segment) => Math.min(min, segment.wPrimeBalance), params.wPrime);
+        
+        let feasible;
+        if (options.constraint === 'np') feasible = normalizedPower <= options.target + 0.5;
+        else if (options.constraint === 'w-prime') feasible = minWPrimeBalance >= 0;
+        else feasible = avgPower <= options.target + 0.5;
+        
+        return { ride, avgPower, normalizedPower, minWPrimeBalance, feasible, baseline };
+    };
+    
+    let low = -4;
+    let high = 3;
+    let best = evaluate(low);
+    if (best.feasible) return best;
+    
+    best = evaluate(high);
+    if (!best.feasible) {
+        throw new Error('The constraint cannot be met on this route');
+    }
+    
+    for (let i = 0; i < 14; i++) {
+        const mid = (low + high) / 2;
+        const result = evaluate(mid);
+        if (result.feasible) {
+            best = result;
+            high = mid;
+        } else {
+            low = mid;
+        }
+    }
+    return best;
+}
+
+// Clean up the raw track, then calculate segment data and the speed allowed at the
+// end of each segment (Vmax, corners, slow zones, stops and braking ahead of them)
+function prepareRoute(rawPoints, params) {
+    const points = preprocessPoints(rawPoints, params.preprocessing);
+    const segments = assignStops(
+        assignSlowZones(assignSurfaces(calculateSegmentData(points), params.surfaceIndex, params.surfacePaint), params.slowZones),
+        params.stops
+    );
+    const speedLimits = calculateSpeedLimits(segments, params.Vmax_ms, params.leanAngle, params.maxDeceleration);
+    return { points, segments, speedLimits };
+}
+
+// Mass, CdA and draft of a team time trial's first rider while `front` leads the paceline
+function teamRiderForces(group, front) {
+    const rider = group.riders[0];
+    return {
+        mass: rider.mass,
+        CdA: rider.CdA,
+        draft: getDraftFactor((group.riders.length - front) % group.riders.length + 1)
+    };
+}
+
+// Combine the route, the simulated ride and any recorded data into per-point rows.
+// Without a seaLevelRide the rows' seaLevelTime is null.
+function buildSimulationData(points, segments, ride, params, seaLevelRide = null) {
+    const simulationData = [];
+    let totalTime = 0;
+    let elapsedTime = 0; // moving time plus the stops before this point
+    let seaLevelTime = seaLevelRide ? 0 : null;
+    let cumulativeElevationGain = 0;
+    let previousElevation = points[0].ele;
+    let work = 0; // J
+    
+    // Recorded rides carry timestamps (and often power) to compare against
+    const startTime = points[0].time;
+    const hasRecordedTime = startTime !== undefined && points[points.length - 1].time !== undefined;
+    let actualSpeed = null;
+    
+    // Add starting point
+    simulationData.push({
+        distance: 0,
+        elevation: points[0].ele,
+        speed: 0,
+        power: 0,
+        time: 0,
+        elapsedTime: 0,
+        dwell: 0,
+        eta: params.startTime !== null ? params.startTime : null,
+        grade: 0,
+        elevationGain: 0,
+        work: 0,
+        energy: 0,
+        cadence: null,
+        chainring: null,
+        cog: null,
+        wPrimeBalance: params.wPrime / 1000,
+        rho: calculateAirDensity(points[0].ele, params.air),
+        lat: points[0].lat,
+        lon: points[0].lon,
+        seaLevelTime: seaLevelTime,
+        headwind: 0,
+        crosswind: 0,
+        forceGravity: 0,
+        forceRolling: 0,
+        forceAir: 0,
+        forceInertia: 0,
+        forceBraking: 0,
+        actualTime: hasRecordedTime ? 0 : null,
+        actualSpeed: null,
+        actualPower: points[0].power !== undefined ? points[0].power : null
+    });
+    
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        const result = ride.segments[i];
+        totalTime += result.time;
+        elapsedTime += result.time;
+        if (seaLevelRide) seaLevelTime += seaLevelRide.segments[i].time;
+        work += result.power * result.time;
+        
+        // Report the segment's average speed so it stays consistent with its time
+        const speed_kmh = result.time > 0 ? segment.distance / result.time * 3.6 : result.exitSpeed * 3.6;
+        
+        // Forces at the segment's average speed, in the direction against the rider; inertia is
+        // what changed the kinetic energy. In a team time trial they are the first rider's, in
+        // their place in the paceline, like the power
+        const rider = result.riderPowers ? teamRiderForces(params.group, result.front) : params;
+        const forces = calculateForceComponents(speed_kmh / 3.6, segment.grade, rider.mass, rider.CdA, {
+            headwind: result.headwind,
+            rho: result.rho,
+            Crr: result.Crr,
+            draft: rider.draft
+        });
+        const entrySpeed = i > 0 ? ride.segments[i - 1].exitSpeed : 0;
+        const forceInertia = segment.distance > 0
+            ? 0.5 * calculateEffectiveMass(rider.mass) * (result.exitSpeed * result.exitSpeed - entrySpeed * entrySpeed) / segment.distance
+            : 0;
+        // Braking (for corners or to stay under Vmax) takes what the pedals don't account for
+        const forceBraking = segment.distance > 0
+            ? Math.max(0, result.power * result.time / segment.distance - forces.gravity - forces.rolling - forces.air - forceInertia)
+            : 0;
+        
+        // Gear and cadence while pedalling
+        const pedalling = result.power >= coastingPower && result.time > 0 && !segment.gap;
+        const gear = pedalling ? selectGear(segment.distance / result.time, params.drivetrain) : null;
+        
+        // Calculate cumulative elevation gain (only positive changes, not across gaps)
+        const elevationChange = segment.elevation - previousElevation;
+        if (elevationChange > 0 && !segment.gap) {
+            cumulativeElevationGain += elevationChange;
+        }
+        previousElevation = segment.elevation;
+        
+        // Recorded values at the end of this segment
+        const recorded = points[i + 1];
+        const previousRecorded = points[i];
+        let actualTime = null;
+        if (hasRecordedTime && recorded.time !== undefined) {
+            actualTime = (recorded.time - startTime) / 1000;
+            const timeDiff = previousRecorded.time !== undefined ? (recorded.time - previousRecorded.time) / 1000 : 0;
+            if (timeDiff > 0) actualSpeed = segment.distance / timeDiff * 3.6;
+        }
+        
+        simulationData.push({
+            distance: segment.cumulativeDistance,
+            elevation: segment.elevation,
+            speed: speed_kmh,
+            power: result.power,
+            time: totalTime,
+            elapsedTime: elapsedTime, // on arrival, before any stop here
+            dwell: result.dwell || 0, // s stopped here
+            eta: params.startTime !== null ? params.startTime + elapsedTime * 1000 : null, // ms
+            grade: segment.grade * 100, // Convert to percentage
+            lat: segment.lat,
+            lon: segment.lon,
+            elevationGain: cumulativeElevationGain,
+            work: work / 1000, // kJ at the pedals so far
+            energy: work / params.nutrition.efficiency / joulesPerKcal, // kcal burnt so far
+            cadence: gear ? gear.cadence : null, // rpm, null when freewheeling
+            chainring: gear ? gear.chainring : null,
+            cog: gear ? gear.cog : null,
+            radius: segment.radius,
+            gap: segment.gap === true,
+            cornerSpeed: calculateCornerSpeed(segment.radius, params.leanAngle) * 3.6,
+            braking: result.braking,
+            wPrimeBalance: result.wPrimeBalance / 1000, // kJ
+            rho: result.rho,
+            surface: segment.surface,
+            Crr: result.Crr,
+            seaLevelTime: seaLevelTime,
+            windSpeed: result.wind.speed * 3.6,
+            windDirection: result.wind.direction,
+            headwind: result.headwind * 3.6,
+            crosswind: result.crosswind * 3.6,
+            forceGravity: forces.gravity,
+            forceRolling: forces.rolling,
+            forceAir: forces.air,
+            forceInertia: forceInertia,
+            forceBraking: forceBraking,
+            actualTime: actualTime,
+            actualSpeed: actualTime !== null ? actualSpeed : null,
+            actualPower: recorded.power !== undefined ? recorded.power : null
+        });
+        elapsedTime += result.dwell || 0;
+    }
+    
+    return simulationData;
+}
+
+// Time, distance, averages and energy of the data rows from startIdx to endIdx
+function summarizeRange(data, startIdx, endIdx) {
+    const time = data[endIdx].time - data[startIdx].time;
+    const distance = data[endIdx].distance - data[startIdx].distance;
+    
+    const intervals = [];
+    let work = 0;
+    let minWPrimeBalance = data[startIdx].wPrimeBalance;
+    // Stops on the way, counting one at the start of the range but not at its end
+    let stoppedTime = 0;
+    for (let i = startIdx + 1; i <= endIdx; i++) {
+        stoppedTime += data[i - 1].dwell;
+        const timeDiff = data[i].time - data[i - 1].time;
+        intervals.push({ power: data[i].power, time: timeDiff });
+        work += data[i].power * timeDiff;
+        minWPrimeBalance = Math.min(minWPrimeBalance, data[i].wPrimeBalance);
+    }
+    
+    return {
+        startDistance: data[startIdx].distance,
+        endDistance: data[endIdx].distance,
+        distance: distance,
+        time: time, // moving
+        elapsedTime: time + stoppedTime,
+        stoppedTime: stoppedTime,
+        avgSpeed: time > 0 ? distance / time * 3.6 : 0, // km/h (moving)
+        avgPower: time > 0 ? work / time : 0,
+        normalizedPower: calculateNormalizedPower(intervals),
+        work: work / 1000, // kJ
+        energy: data[endIdx].energy - data[startIdx].energy, // kcal
+        elevationGain: data[endIdx].elevationGain - data[startIdx].elevationGain,
+        minWPrimeBalance: minWPrimeBalance // kJ
+    };
+}
+
+// Climbs
+
+// Categorised climbs along the simulated route. A climb runs from a low point to the top it
+// reaches before the road drops climbMaxDrop below that top, falls below its start, or goes
+// climbMaxFlat without a new top; short dips on the way up stay part of it.
+function detectClimbs(data) {
+    const climbs = [];
+    let start = 0;
+    let top = 0;
+    
+    for (let i = 1; i < data.length; i++) {
+        if (top === start && data[i].elevation <= data[start].elevation) {
+            // Still looking for the foot of the next climb
+            start = i;
+            top = i;
+        } else if (data[i].elevation > data[top].elevation) {
+            top = i;
+        } else if (data[i].elevation < data[start].elevation ||
+            data[top].elevation - data[i].elevation > climbMaxDrop ||
+            data[i].distance - data[top].distance > climbMaxFlat) {
+            const climb = describeClimb(data, start, top);
+            if (climb) climbs.push(climb);
+            start = i;
+            top = i;
+        }
+    }
+    
+    const climb = describeClimb(data, start, top);
+    if (climb) climbs.push(climb);
+    return climbs;
+}
+
+// Length, grades, category and the simulated time of the data rows from startIdx to endIdx,
+// or null when they are too flat or too short to be categorised
+function describeClimb(data, startIdx, endIdx) {
+    const length = data[endIdx].distance - data[startIdx].distance;
+    const rise = data[endIdx].elevation - data[startIdx].elevation;
+    if (length <= 0 || rise / length < climbMinGrade) return null;
+    
+    const avgGrade = rise / length * 100; // %
+    const score = length * avgGrade;
+    const category = climbCategories.find(c => score >= c.minScore);
+    if (!category) return null;
+    
+    let elevationGain = 0;
+    let maxGrade = avgGrade;
+    let ahead = startIdx;
+    for (let i = startIdx; i < endIdx; i++) {
+        elevationGain += Math.max(0, data[i + 1].elevation - data[i].elevation);
+        while (ahead < endIdx && data[ahead].distance - data[i].distance < climbGradeWindow) ahead++;
+        const run = data[ahead].distance - data[i].distance;
+        if (run >= climbGradeWindow) {
+            maxGrade = Math.max(maxGrade, (data[ahead].elevation - data[i].elevation) / run * 100);
+        }
+    }
+    
+    const time = data[endIdx].time - data[startIdx].time;
+    return {
+        startIdx: startIdx,
+        endIdx: endIdx,
+        startDistance: data[startIdx].distance,
+        endDistance: data[endIdx].distance,
+        length: length,
+        startElevation: data[startIdx].elevation,
+        topElevation: data[endIdx].elevation,
+        elevationGain: elevationGain,
+        avgGrade: avgGrade,
+        maxGrade: maxGrade,
+        score: score,
+        category: category.name,
+        time: time,
+        avgSpeed: time > 0 ? length / time * 3.6 : 0, // km/h
+        vam: time > 0 ? rise / time * 3600 : 0 // m/h
+    };
+}
+
+// Waypoints and stops
+
+// Place each waypoint at its nearest data row: { ...waypoint, index, offset (m from the
+// route), distance, time (moving), elapsedTime (with the stops before it), eta }. Waypoints
+// further than waypointMaxOffset from the route are kept with a null index, distance, times
+// and eta.
+function placeWaypoints(waypoints, data) {
+    return waypoints.map(waypoint => {
+        let index = null;
+        let offset = Infinity;
+        data.forEach((row, i) => {
+            const d = calculateDistance(waypoint.lat, waypoint.lon, row.lat, row.lon);
+            if (d < offset) {
+                offset = d;
+                index = i;
+            }
+        });
+        
+        if (index === null || offset > waypointMaxOffset) {
+            return { ...waypoint, index: null, offset: offset, distance: null, time: null, elapsedTime: null, eta: null };
+        }
+        return { ...waypoint, index: index, offset: offset, distance: data[index].distance, time: data[index].time,
+            elapsedTime: data[index].elapsedTime, eta: data[index].eta };
+    });
+}
+
+// Stops in route order with the data row they are made at and their arrival and departure
+// in elapsed time (s); stops sharing a row all leave after the row's whole dwell
+function scheduleStops(stops, data) {
+    const distances = data.slice(1).map(row => row.distance);
+    return stops
+        .map(stop => {
+            const index = indexAtDistance(distances, stop.distance) + 1;
+            const arrival = data[index].elapsedTime;
+            return { ...stop, index: index, arrival: arrival, departure: arrival + data[index].dwell };
+        })
+        .sort((a, b) => a.distance - b.distance);
+}
+
+// Schedule
+
+// Sunrise and sunset (ms) of the solar day around `timestamp` at a place, from the sunrise
+// equation (within a minute or two away from the poles). Where the sun stays up or down all
+// day both are null and `polar` says which.
+function calculateSunTimes(timestamp, lat, lon) {
+    const rad = Math.PI / 180;
+    const julianDay = timestamp / 86400000 + 2440587.5;
+    
+    // Mean solar noon nearest the time, then the true one from the sun's position
+    const day = Math.round(julianDay - 2451545.0009 + lon / 360);
+    const meanNoon = 2451545.0009 + day - lon / 360;
+    const anomaly = (357.5291 + 0.98560028 * (meanNoon - 2451545)) % 360;
+    const center = 1.9148 * Math.sin(anomaly * rad) + 0.02 * Math.sin(2 * anomaly * rad) + 0.0003 * Math.sin(3 * anomaly * rad);
+    const longitude = (anomaly + center + 180 + 102.9372) % 360;
+    const noon = meanNoon + 0.0053 * Math.sin(anomaly * rad) - 0.0069 * Math.sin(2 * longitude * rad);
+    
+    const sinDeclination = Math.sin(longitude * rad) * Math.sin(earthObliquity * rad);
+    const cosDeclination = Math.sqrt(1 - sinDeclination * sinDeclination);
+    const cosHourAngle = (Math.sin(sunriseAltitude * rad) - Math.sin(lat * rad) * sinDeclination) / (Math.cos(lat * rad) * cosDeclination);
+    if (cosHourAngle > 1) return { sunrise: null, sunset: null, polar: 'night' };
+    if (cosHourAngle < -1) return { sunrise: null, sunset: null, polar: 'day' };
+    
+    const halfDay = Math.acos(cosHourAngle) / rad / 360;
+    const toTimestamp = julian => (julian - 2440587.5) * 86400000;
+    return { sunrise: toTimestamp(noon - halfDay), sunset: toTimestamp(noon + halfDay), polar: null };
+}
+
+// Whether the sun is down at a time and place
+function isDark(timestamp, lat, lon) {
+    const sun = calculateSunTimes(timestamp, lat, lon);
+    if (sun.polar) return sun.polar === 'night';
+    return timestamp < sun.sunrise || timestamp > sun.sunset;
+}
+
+// Stretches of the ride after sunset or before sunrise: [{startIdx, endIdx, from, to (m)}].
+// Empty without a start time.
+function findDarkRanges(data) {
+    const ranges = [];
+    let range = null;
+    data.forEach((row, i) => {
+        const dark = row.eta !== null && row.eta !== undefined && isDark(row.eta, row.lat, row.lon);
+        if (dark && !range) {
+            range = { startIdx: i, endIdx: i, from: row.distance, to: row.distance };
+            ranges.push(range);
+        } else if (dark) {
+            range.endIdx = i;
+            range.to = row.distance;
+        } else {
+            range = null;
+        }
+    });
+    return ranges;
+}
+
+// When the rider reaches the start, every `interval` m, the waypoints on the route (from
+// placeWaypoints), the climb tops (from detectClimbs), the stops (from scheduleStops) and
+// the finish, in route order. `eta` and `dark` are null without a start time.
+function buildSchedule(data, options = {}) {
+    const { interval = 0, waypoints = [], climbs = [], stops = [] } = options;
+    const entries = [];
+    const add = (type, name, index) => {
+        const row = data[index];
+        const hasEta = row.eta !== null && row.eta !== undefined;
+        entries.push({
+            type: type,
+            name: name,
+            index: index,
+            distance: row.distance,
+            elevation: row.elevation,
+            time: row.time,
+            elapsedTime: row.elapsedTime,
+            dwell: row.dwell,
+            eta: hasEta ? row.eta : null,
+            dark: hasEta ? isDark(row.eta, row.lat, row.lon) : null
+        });
+    };
+    
+    add('start', 'Start', 0);
+    if (interval > 0) {
+        const distances = data.map(row => row.distance);
+        const total = distances[distances.length - 1];
+        for (let distance = interval; distance < total; distance += interval) {
+            add('distance', `${+(distance / 1000).toFixed(1)} km`, indexAtDistance(distances, distance));
+        }
+    }
+    waypoints.filter(waypoint => waypoint.index !== null).forEach(waypoint => add('waypoint', waypoint.name, waypoint.index));
+    climbs.forEach(climb => add('climb', `Top of ${climb.category === 'HC' ? 'HC' : `cat. ${climb.category}`} climb`, climb.endIdx));
+    stops.forEach(stop => add('stop', stop.name, stop.index));
+    add('finish', 'Finish', data.length - 1);
+    
+    return entries.sort((a, b) => a.distance - b.distance);
+}
+
+// The schedule as CSV, with local clock times
+function buildScheduleCSV(schedule) {
+    const quote = text => /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    const lines = ['type,name,distance_km,elevation_m,elapsed,stop_min,eta,light'];
+    schedule.forEach(entry => {
+        lines.push([
+            entry.type,
+            quote(entry.name),
+            (entry.distance / 1000).toFixed(2),
+            entry.elevation.toFixed(0),
+            formatDuration(entry.elapsedTime),
+            entry.dwell > 0 ? +(entry.dwell / 60).toFixed(1) : '',
+            entry.eta !== null ? formatDateTime(entry.eta) : '',
+            entry.dark === null ? '' : entry.dark ? 'dark' : 'day'
+        ].join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Energy and fuelling
+
+// Fuelling plan for a simulated ride: carbohydrate per hour (from carbGuidelines by the
+// ride's elapsed time unless set), fluid per hour scaled by the air temperature, and intake
+// points every nutrition.intakeInterval of elapsed time after the previous one. Each intake
+// moves to a stop or an easy stretch nearby when there is one, and covers the time since the
+// previous intake.
+function planFueling(data, params) {
+    const nutrition = params.nutrition;
+    const finish = data[data.length - 1];
+    const hours = finish.elapsedTime / 3600;
+    const carbsPerHour = nutrition.carbsPerHour !== null
+        ? nutrition.carbsPerHour
+        : carbGuidelines.find(guideline => hours <= guideline.maxHours).carbsPerHour;
+    const fluidScale = 1 + fluidTemperatureGain * (params.air.temperature - fluidReferenceTemperature);
+    const fluidPerHour = nutrition.fluidPerHour * Math.min(fluidScaleLimits[1], Math.max(fluidScaleLimits[0], fluidScale));
+    
+    const interval = nutrition.intakeInterval;
+    const intakes = [];
+    let previousTime = 0;
+    let i = 1;
+    let target = interval;
+    while (interval > 0 && target < finish.elapsedTime) {
+        // Rows within reach of the target time, preferring a stop, then an easy stretch, then the nearest
+        while (i < data.length - 1 && data[i].elapsedTime < target - intakeWindow * interval) i++;
+        let best = null;
+        let bestScore = Infinity;
+        for (let j = i; j < data.length && data[j].elapsedTime <= target + intakeWindow * interval; j++) {
+            const row = data[j];
+            if (row.gap) continue;
+            const easy = row.grade <= intakeMaxGrade && row.grade >= intakeMinGrade && row.speed <= intakeMaxSpeed && !row.braking;
+            const score = Math.abs(row.elapsedTime - target) + (row.dwell > 0 ? 0 : easy ? interval : 2 * interval);
+            if (score < bestScore) {
+                best = j;
+                bestScore = score;
+            }
+        }
+        if (best === null) {
+            target += interval;
+            continue;
+        }
+        
+        const row = data[best];
+        const hoursSince = (row.elapsedTime + row.dwell - previousTime) / 3600;
+        intakes.push({
+            index: best,
+            distance: row.distance,
+            elapsedTime: row.elapsedTime,
+            eta: row.eta,
+            stop: row.dwell > 0,
+            carbs: carbsPerHour * hoursSince, // g
+            fluid: fluidPerHour * hoursSince // ml
+        });
+        previousTime = row.elapsedTime + row.dwell;
+        target = previousTime + interval;
+    }
+    
+    return {
+        efficiency: nutrition.efficiency,
+        carbsPerHour: carbsPerHour, // g/h
+        fluidPerHour: fluidPerHour, // ml/h
+        carbs: carbsPerHour * hours, // g over the whole ride
+        fluid: fluidPerHour * hours, // ml
+        intakes: intakes
+    };
+}
+
+// Gearing
+
+// The gear giving the cadence nearest the preferred one at a speed (m/s): {chainring, cog, cadence (rpm)}
+function selectGear(speed, drivetrain) {
+    let best = null;
+    drivetrain.chainrings.forEach(chainring => drivetrain.cassette.forEach(cog => {
+        const cadence = speed * 60 / (drivetrain.wheelCircumference * chainring / cog);
+        if (!best || Math.abs(cadence - drivetrain.preferredCadence) < Math.abs(best.cadence - drivetrain.preferredCadence)) {
+            best = { chainring: chainring, cog: cog, cadence: cadence };
+        }
+    }));
+    return best;
+}
+
+// Gear usage and cadence limits over a simulated ride:
+//   gears         [{chainring, cog, ratio, time (s), distance (m)}] in every gear used, lowest first
+//   coastingTime  s freewheeling
+//   lowCadence    [{startIdx, endIdx, from, to (m), time (s), speed (km/h), cadence}] stretches
+//                 of at least cadenceMinStretch pedalled below minCadence even in the lowest
+//                 gear, with their average speed and lowest cadence
+//   highCadence   the same above maxCadence in the highest gear (spinning out), with the highest
+//   lowGear       for the slowest low stretch: the ratio that keeps minCadence at its average
+//                 speed, the cog it takes with the smallest chainring and the chainring with the
+//                 largest cog; null without low stretches
+//   highGear      for the fastest high stretch: the ratio that keeps maxCadence, the chainring
+//                 it takes with the smallest cog and the cog with the largest chainring
+function analyzeGearing(data, drivetrain) {
+    const usage = new Map();
+    let coastingTime = 0;
+    const stretches = { low: [], high: [] };
+    let stretch = null;
+    
+    for (let i = 1; i < data.length; i++) {
+        const row = data[i];
+        const time = row.time - data[i - 1].time;
+        if (row.cadence === null) {
+            coastingTime += time;
+            stretch = null;
+            continue;
+        }
+        
+        const key = `${row.chainring}×${row.cog}`;
+        if (!usage.has(key)) usage.set(key, { chainring: row.chainring, cog: row.cog, ratio: row.chainring / row.cog, time: 0, distance: 0 });
+        usage.get(key).time += time;
+        usage.get(key).distance += row.distance - data[i - 1].distance;
+        
+        const type = row.cadence < drivetrain.minCadence ? 'low' : row.cadence > drivetrain.maxCadence ? 'high' : null;
+        if (!type) {
+            stretch = null;
+            continue;
+        }
+        if (stretch && stretch.type === type) {
+            stretch.endIdx = i;
+            stretch.to = row.distance;
+            stretch.time += time;
+            stretch.cadence = type === 'low' ? Math.min(stretch.cadence, row.cadence) : Math.max(stretch.cadence, row.cadence);
+        } else {
+            stretch = { type: type, startIdx: i - 1, endIdx: i, from: data[i - 1].distance, to: row.distance, time: time, cadence: row.cadence };
+            stretches[type].push(stretch);
+        }
+    }
+    
+    const describe = ({ type, ...rest }) => ({ ...rest, speed: (rest.to - rest.from) / rest.time * 3.6 });
+    const lowCadence = stretches.low.filter(s => s.to - s.from >= cadenceMinStretch).map(describe);
+    const highCadence = stretches.high.filter(s => s.to - s.from >= cadenceMinStretch).map(describe);
+    const slowest = Math.min(...lowCadence.map(s => s.speed)) / 3.6; // m/s
+    const fastest = Math.max(0, ...highCadence.map(s => s.speed)) / 3.6;
+    const ratioAt = (speed, cadence) => speed * 60 / (drivetrain.wheelCircumference * cadence);
+    const lowRatio = ratioAt(slowest, drivetrain.minCadence);
+    const highRatio = ratioAt(fastest, drivetrain.maxCadence);
+    return {
+        gears: [...usage.values()].sort((a, b) => a.ratio - b.ratio),
+        coastingTime: coastingTime,
+        lowCadence: lowCadence,
+        highCadence: highCadence,
+        lowGear: lowCadence.length > 0 ? {
+            speed: slowest * 3.6, // km/h
+            ratio: lowRatio,
+            cog: Math.ceil(Math.min(...drivetrain.chainrings) / lowRatio),
+            chainring: Math.floor(lowRatio * Math.max(...drivetrain.cassette))
+        } : null,
+        highGear: highCadence.length > 0 ? {
+            speed: fastest * 3.6, // km/h
+            ratio: highRatio,
+            chainring: Math.ceil(highRatio * Math.min(...drivetrain.cassette)),
+            cog: Math.floor(Math.max(...drivetrain.chainrings) / highRatio)
+        } : null
+    };
+}
+
+function pacingStrategyName(id) {
+    const strategy = pacingStrategies.find(s => s.id === id);
+    return strategy ? strategy.name : id;
+}
+
+// Engine API
+
+// Team time trial riders until the team is edited
+const defaultTeamRiders = [
+    { name: 'Rider 1', mass: 85, CdA: 0.30, Pmax: 300 },
+    { name: 'Rider 2', mass: 78, CdA: 0.29, Pmax: 280 },
+    { name: 'Rider 3', mass: 72, CdA: 0.28, Pmax: 260 },
+    { name: 'Rider 4', mass: 80, CdA: 0.30, Pmax: 270 }
+];
+
+// Everything simulate() reads, with the defaults of the page's inputs. Units are SI
+// (kg, m/s, J) unless noted; the grouped options are filled in field by field.
+const defaultParams = {
+    mass: 85, // rider + bike (kg)
+    CdA: 0.33, // m²
+    Pmax: 250, // power the rider holds (W)
+    Vmax_ms: 50 / 3.6, // speed the rider won't go past (m/s)
+    leanAngle: 30, // maximum lean in corners (°)
+    maxDeceleration: 3, // braking (m/s²)
+    CP: 230, // critical power (W)
+    wPrime: 20000, // J
+    wind: {
+        speed: 0, // m/s
+        direction: 0, // ° the wind blows from
+        profile: null // time or position based wind from parseWindCSV
+    },
+    tire: {
+        width: 28, // mm
+        pressure: 6, // bar
+        crr: Crr // on asphalt at 28 mm
+    },
+    air: {
+        temperature: 15, // °C
+        humidity: 50, // %
+        pressure: 1013.25, // hPa at sea level
+        useElevation: true,
+        compareSeaLevel: false // also ride the route in sea-level air (seaLevelRide, seaLevelTime)
+    },
+    preprocessing: {
+        removeDuplicates: true,
+        resampleDistance: 0, // m, 0 keeps the recorded points
+        smoothing: 'moving-average', // 'none', 'moving-average' or 'savitzky-golay'
+        smoothingWindow: 50, // m
+        maxGrade: 25 // %, 0 for no limit
+    },
+    pacing: {
+        strategy: 'constant', // one of pacingStrategies
+        gradeGain: 0.05, // power change per % of grade
+        ftp: 250, // W
+        targetIF: 0.85,
+        descentThreshold: 4, // soft-pedal descents steeper than this (%)
+        softPedalPower: 50 // W
+    },
+    group: {
+        mode: 'solo', // 'solo', 'paceline' or 'ttt'
+        position: 2, // place in the paceline (1 = front)
+        rotation: 30, // s on the front in a team time trial
+        riders: defaultTeamRiders // [{name, mass, CdA, Pmax}]
+    },
+    surfaceIndex: null, // buildSurfaceIndex(parseSurfaceFile(text))
+    surfacePaint: [], // [{from, to (m along the route), surface}]
+    stops: [], // [{name, distance (m along the route), duration (s)}]
+    slowZones: [], // [{from, to (m along the route), speed (m/s)}]
+    startTime: null, // ms since 1970, or a date string; gives every data row a clock `eta`
+    nutrition: {
+        efficiency: 0.23, // gross efficiency: work at the pedals / energy burnt
+        carbsPerHour: null, // g/h, null to follow carbGuidelines
+        fluidPerHour: 500, // ml/h at fluidReferenceTemperature
+        intakeInterval: 20 * 60 // s of elapsed time between intakes, 0 for none
+    },
+    drivetrain: {
+        chainrings: [50, 34], // teeth
+        cassette: [11, 12, 13, 14, 16, 18, 20, 22, 25, 28, 32], // teeth
+        wheelCircumference: 2.136, // m, 700×28c
+        preferredCadence: 90, // rpm; the gear nearest it is selected
+        minCadence: 60, // rpm; slower pedalling is flagged
+        maxCadence: 120 // rpm; faster pedalling is flagged as spinning out
+    }
+};
+
+// Complete a partial parameter set with the defaults. The paceline draft follows the group.
+function resolveParams(params = {}) {
+    const resolved = { ...defaultParams, ...params };
+    ['wind', 'tire', 'air', 'preprocessing', 'pacing', 'group', 'nutrition', 'drivetrain'].forEach(key => {
+        resolved[key] = { ...defaultParams[key], ...params[key] };
+    });
+    if (!pacingStrategies.some(strategy => strategy.id === resolved.pacing.strategy)) {
+        throw new Error(`Unknown pacing strategy "${resolved.pacing.strategy}"`);
+    }
+    if (resolved.drivetrain.chainrings.length === 0 || resolved.drivetrain.cassette.length === 0) {
+        throw new Error('The drivetrain needs at least one chainring and one cog');
+    }
+    resolved.draft = resolved.group.mode === 'paceline' ? getDraftFactor(resolved.group.position) : 1;
+    if (typeof resolved.startTime === 'string') {
+        resolved.startTime = Date.parse(resolved.startTime);
+        if (isNaN(resolved.startTime)) throw new Error(`Invalid start time "${params.startTime}"`);
+    }
+    return resolved;
+}
+
+// Simulate a ride over route points ({lat, lon, ele} and optionally time, power and surface,
+// as parseActivityFile returns them) with any subset of defaultParams. Returns
+//   params        the resolved parameters
+//   points        the preprocessed route
+//   segments      one per pair of points, with speedLimits at their ends
+//   strategy      the pacing strategy ridden (null in a team time trial)
+//   ride          {segments: per-segment results, totalTime}
+//   seaLevelRide  the same ride in sea-level air, with air.compareSeaLevel (else null)
+//   data          one row per point (the columns of resultColumns)
+//   summary       summarizeRange over the whole route
+//   climbs        detectClimbs over the whole route
+//   darkness      findDarkRanges: the stretches ridden in the dark (with a startTime)
+//   fueling       planFueling: carbohydrate, fluid and intake points
+//   gearing       analyzeGearing: gear usage, cadence out of range and gearing to fix it
+function simulate(points, params = {}) {
+    const resolved = resolveParams(params);
+    const { points: routePoints, segments, speedLimits } = prepareRoute(points, resolved);
+    if (segments.length === 0) {
+        throw new Error('Not enough data points to simulate');
+    }
+    
+    // The sea-level ride doubles the work, so it is only ridden on request
+    const seaLevelParams = resolved.air.compareSeaLevel
+        ? { ...resolved, air: { ...resolved.air, useElevation: false } }
+        : null;
+    let strategy = null;
+    let ride;
+    let seaLevelRide = null;
+    
+    if (resolved.group.mode === 'ttt') {
+        ride = simulateTeamRide(segments, speedLimits, resolved, resolved.group);
+        if (seaLevelParams) seaLevelRide = simulateTeamRide(segments, speedLimits, seaLevelParams, resolved.group);
+    } else {
+        strategy = resolved.pacing.strategy;
+        ride = simulatePacing(strategy, segments, speedLimits, resolved, resolved.pacing).ride;
+        if (seaLevelParams) seaLevelRide = simulatePacing(strategy, segments, speedLimits, seaLevelParams, resolved.pacing).ride;
+    }
+    
+    const data = buildSimulationData(routePoints, segments, ride, resolved, seaLevelRide);
+    return {
+        params: resolved,
+        points: routePoints,
+        segments: segments,
+        speedLimits: speedLimits,
+        strategy: strategy,
+        ride: ride,
+        seaLevelRide: seaLevelRide,
+        data: data,
+        summary: summarizeRange(data, 0, data.length - 1),
+        climbs: detectClimbs(data),
+        darkness: findDarkRanges(data),
+        fueling: planFueling(data, resolved),
+        gearing: analyzeGearing(data, resolved.drivetrain)
+    };
+}
+
+// Formatting
+
+// Escape user-entered text for use in HTML
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Format a duration in seconds as "1h 02m 03s"
+function formatDuration(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = Math.floor(totalSeconds % 60);
+    return `${hours}h ${minutes}m ${seconds}s`;
+}
+
+// Local date and time of a timestamp (ms) as "2026-07-25 09:30"
+function formatDateTime(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => value.toString().padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Format a time difference with its sign, dropping zero hours
+function formatSignedDuration(deltaSeconds) {
+    const sign = deltaSeconds < 0 ? '−' : '+';
+    const absolute = Math.abs(deltaSeconds);
+    const hours = Math.floor(absolute / 3600);
+    const minutes = Math.floor((absolute % 3600) / 60);
+    const seconds = Math.floor(absolute % 60);
+    return hours > 0 ? `${sign}${hours}h ${minutes}m ${seconds}s` : `${sign}${minutes}m ${seconds}s`;
+}
+
+// In Node the engine is a module; in the browser its functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        g, rho, dryAirConstant, waterVaporConstant, Crr, wheelInertia, wheelRadius,
+        integrationStep, minSpeed, cornerWindow, duplicateDistance, fitEpoch, calibrationMaxGap,
+        calibrationMinSpeed, pacingMaxBoost, optimizerGradeBin, optimizerPowerStep,
+        optimizerWindBin, optimizerRhoBin, windIdwPower, calmConditions, draftFactors,
+        teamPowerTolerance, surfaceMatchDistance, surfaceGridSize, referenceTireWidth,
+        tirePressurePenalty, climbMinGrade, climbMaxDrop, climbMaxFlat, climbGradeWindow,
+        waypointMaxOffset, sunriseAltitude, earthObliquity, joulesPerKcal, carbGuidelines,
+        fluidReferenceTemperature, fluidTemperatureGain, fluidScaleLimits, intakeWindow,
+        intakeMaxGrade, intakeMinGrade, intakeMaxSpeed, coastingPower, cadenceMinStretch,
+        climbCategories, surfaceTypes, pacingStrategies, parseXML, parseXMLAttributes,
+        decodeXMLEntities, findElements, elementText, detectFileFormat, parseActivityFile,
+        parseGPX, readGPXPoint, trackPoints, childText, parseTCX, findElement, readElementNumber,
+        fitBaseTypes, parseFIT, readFitDefinition, readFitValue, fitRecordToPoint, resultColumns,
+        getModelConstants, buildResultsExport, buildResultsCSV, exportPoints, buildGPX, buildTCX,
+        buildFitCourse, encodeFIT, fitCrc, calculateDistance, calculateBearing, preprocessPoints,
+        splitAtGaps, joinRuns, calculateCumulativeDistances, calculateAscent,
+        removeDuplicatePoints, resamplePoints, interpolatePoint, smoothElevationMovingAverage,
+        smoothElevationSavitzkyGolay, clampGrades, calculateTurnRadii, calculateCornerSpeed,
+        calculateSegmentData, calculateWindComponents, getWindAt, windToVector, vectorToWind,
+        interpolateWindSeries, interpolateWindByPosition, parseWindCSV, normalizeSurface,
+        getSurfaceType, calculateSurfaceCrr, assignSurfaces, assignSlowZones, assignStops,
+        indexAtDistance, parseSurfaceFile, parseSurfaceGeoJSON, parseSurfaceOSM, buildSurfaceIndex,
+        findSurfaceNear, calculateAirDensity, calculateForceComponents, calculateResistiveForce,
+        calculatePowerNeeded, calculateEffectiveMass, calculateSpeed, calculateSpeedLimits,
+        simulateSegment, updateWPrimeBalance, fitDragAndRolling, simulateRide, getDraftFactor,
+        simulateTeamRide, calculateTeamPowers, calculatePacingPowers, simulatePacing,
+        calculateAveragePower, calculateNormalizedPower, optimizerCost, calculateGridSpeeds,
+        optimalPowerForGrade, planPacingPowers, optimizePacing, prepareRoute, buildSimulationData,
+        summarizeRange, detectClimbs, describeClimb, placeWaypoints, scheduleStops,
+        calculateSunTimes, isDark, findDarkRanges, buildSchedule, buildScheduleCSV, planFueling,
+        selectGear, analyzeGearing, pacingStrategyName, defaultTeamRiders, defaultParams,
+        resolveParams, simulate, escapeHtml, formatDuration, formatDateTime, formatSignedDuration
+    };
+}
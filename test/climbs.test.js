@@ -0,0 +1,60 @@
+// Climb detection on synthetic elevation profiles
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectClimbs } = require('../engine.js');
+const { assertClose, profileRows } = require('./helpers.js');
+
+describe('detectClimbs', () => {
+    it('finds and categorises climbs by length × grade', () => {
+        const climbs = detectClimbs(profileRows([[2000, 0], [5000, 6], [3000, -6], [10000, 8], [2000, 0]]));
+        
+        assert.equal(climbs.length, 2);
+        assert.equal(climbs[0].category, '3'); // 5000 × 6 = 30 000
+        assert.equal(climbs[1].category, 'HC'); // 10 000 × 8 = 80 000
+        
+        assert.equal(climbs[0].startDistance, 2000);
+        assert.equal(climbs[0].endDistance, 7000);
+        assertClose(climbs[0].length, 5000, 1e-9, 'length');
+        assertClose(climbs[0].avgGrade, 6, 1e-9, 'average grade');
+        assertClose(climbs[0].maxGrade, 6, 1e-9, 'maximum grade');
+        assertClose(climbs[0].elevationGain, 300, 1e-9, 'elevation gain');
+        assertClose(climbs[1].startDistance, 10000, 1e-9, 'start of the second climb');
+    });
+    
+    it('reports the simulated time, speed and VAM of each climb', () => {
+        const [climb] = detectClimbs(profileRows([[1000, 0], [6000, 7], [1000, 0]], 12));
+        
+        assertClose(climb.time, 6000 / 12 * 3.6, 1e-9, 'time');
+        assertClose(climb.avgSpeed, 12, 1e-9, 'average speed');
+        assertClose(climb.vam, 420 / (1800 / 3600), 1e-6, 'VAM');
+    });
+    
+    it('keeps short dips inside a climb and splits at real descents', () => {
+        const dip = detectClimbs(profileRows([[3000, 6], [200, -5], [3000, 6]]));
+        assert.equal(dip.length, 1);
+        assertClose(dip[0].length, 6200, 1e-9, 'length with the dip');
+        assertClose(dip[0].elevationGain, 360, 1e-9, 'gain excluding the dip');
+        
+        const descent = detectClimbs(profileRows([[3000, 6], [1000, -5], [3000, 6]]));
+        assert.equal(descent.length, 2);
+    });
+    
+    it('ends a climb on a long plateau', () => {
+        const climbs = detectClimbs(profileRows([[3000, 6], [3000, -0.5], [3000, 6]]));
+        assert.equal(climbs.length, 2);
+        assert.equal(climbs[0].endDistance, 3000);
+    });
+    
+    it('takes the steepest stretch as the maximum grade', () => {
+        const [climb] = detectClimbs(profileRows([[2000, 5], [400, 12], [2000, 5]]));
+        assertClose(climb.maxGrade, 12, 1e-9, 'maximum grade');
+    });
+    
+    it('leaves out gentle or short rises', () => {
+        assert.deepEqual(detectClimbs(profileRows([[10000, 2.5]])), []); // too gentle
+        assert.deepEqual(detectClimbs(profileRows([[1000, 7]])), []); // 7000: below category 4
+        assert.deepEqual(detectClimbs(profileRows([[5000, 0]])), []);
+        assert.deepEqual(detectClimbs(profileRows([[5000, -6]])), []);
+    });
+});
@@ -0,0 +1,70 @@
+// Work, energy burnt and the fuelling plan
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { simulate, summarizeRange } = require('../engine.js');
+const { assertClose, straightRoute } = require('./helpers.js');
+
+const route = straightRoute(40000);
+
+describe('work and energy', () => {
+    const { data, summary } = simulate(route, { nutrition: { efficiency: 0.25 } });
+    const finish = data[data.length - 1];
+    
+    it('accumulate the work at the pedals along the ride', () => {
+        assertClose(finish.work, summary.work, 1e-6, 'work (kJ)');
+        assertClose(summary.work, summary.avgPower * summary.time / 1000, 1e-6, 'average power × time');
+        assert.ok(data.every((row, i) => i === 0 || row.work >= data[i - 1].work));
+    });
+    
+    it('convert work to kcal through the gross efficiency', () => {
+        assertClose(summary.energy, summary.work / 0.25 / 4.184, 1e-6, 'energy (kcal)');
+        const range = summarizeRange(data, 100, 500);
+        assertClose(range.energy, range.work / 0.25 / 4.184, 1e-6, 'energy over a range');
+    });
+});
+
+describe('planFueling', () => {
+    it('takes carbohydrate by the ride\'s duration unless set', () => {
+        const { fueling, summary } = simulate(route, {});
+        assert.ok(summary.elapsedTime > 3600 && summary.elapsedTime < 2 * 3600);
+        assert.equal(fueling.carbsPerHour, 30);
+        assertClose(fueling.carbs, 30 * summary.elapsedTime / 3600, 1e-6, 'carbohydrate (g)');
+        
+        assert.equal(simulate(route.slice(0, 201), {}).fueling.carbsPerHour, 0);
+        assert.equal(simulate(route, { nutrition: { carbsPerHour: 80 } }).fueling.carbsPerHour, 80);
+    });
+    
+    it('scales the fluid with the air temperature, within limits', () => {
+        const fluid = temperature => simulate(route, { air: { temperature } }).fueling.fluidPerHour;
+        assertClose(fluid(20), 500, 1e-9, 'at 20 °C');
+        assertClose(fluid(30), 750, 1e-9, 'at 30 °C');
+        assertClose(fluid(-20), 250, 1e-9, 'at -20 °C');
+        assertClose(fluid(50), 1000, 1e-9, 'at 50 °C');
+    });
+    
+    it('plans intakes every interval that together cover the time until the last one', () => {
+        const { fueling, data } = simulate(route, { nutrition: { intakeInterval: 600 } });
+        const times = fueling.intakes.map(intake => intake.elapsedTime);
+        
+        assert.ok(fueling.intakes.length >= 6);
+        times.forEach((time, i) => {
+            const since = time - (i > 0 ? times[i - 1] : 0);
+            assert.ok(since >= 450 && since <= 750, `${since} s between intakes`);
+        });
+        const last = fueling.intakes[fueling.intakes.length - 1];
+        assertClose(fueling.intakes.reduce((sum, intake) => sum + intake.carbs, 0), 30 * last.elapsedTime / 3600, 1e-6, 'carbohydrate');
+        assert.equal(last.distance, data[last.index].distance);
+        
+        assert.deepEqual(simulate(route, { nutrition: { intakeInterval: 0 } }).fueling.intakes, []);
+    });
+    
+    it('moves an intake to a stop nearby and starts the next interval after it', () => {
+        const { fueling, data } = simulate(route, { stops: [{ name: 'Café', distance: 11000, duration: 300 }], nutrition: { intakeInterval: 1200 } });
+        const [first, second] = fueling.intakes;
+        
+        assert.equal(first.stop, true);
+        assert.equal(data[first.index].dwell, 300);
+        assert.ok(second.elapsedTime - (first.elapsedTime + 300) > 0.75 * 1200);
+    });
+});
@@ -0,0 +1,77 @@
+// Tracks with several segments: gaps are not ridden. Waypoints placed along the ride.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateDistance, preprocessPoints, simulate, trackPoints, placeWaypoints } = require('../engine.js');
+const { assertClose } = require('./helpers.js');
+
+// A straight segment northwards along 6° E at a constant elevation
+function segment(fromLat, toLat, ele, count = 21) {
+    return Array.from({ length: count }, (_, i) => ({ lat: fromLat + (toLat - fromLat) * i / (count - 1), lon: 6, ele: ele }));
+}
+
+const track = { name: 'Two parts', segments: [segment(45, 45.01, 100), segment(45.02, 45.03, 200)] };
+const segmentLength = calculateDistance(45, 6, 45.01, 6);
+
+describe('gaps between track segments', () => {
+    it('are not ridden and do not climb', () => {
+        const { summary, segments } = simulate(trackPoints(track), {});
+        
+        assertClose(summary.distance, 2 * segmentLength, 0.01, 'distance');
+        assert.equal(summary.elevationGain, 0);
+        assert.equal(segments.filter(s => s.gap).length, 1);
+    });
+    
+    it('take no time', () => {
+        const whole = simulate(trackPoints(track), {});
+        const first = simulate(track.segments[0], {});
+        const gapIndex = whole.data.findIndex(row => row.gap);
+        
+        assert.equal(whole.data[gapIndex].time, whole.data[gapIndex - 1].time);
+        assert.ok(whole.summary.time < 2.1 * first.summary.time);
+    });
+    
+    it('restart the ride from a standstill without braking ahead of them', () => {
+        const whole = simulate(trackPoints(track), {});
+        const gapIndex = whole.segments.findIndex(s => s.gap);
+        const runs = track.segments.map(points => simulate(points, {}).summary.time);
+        
+        assert.equal(whole.ride.segments[gapIndex].exitSpeed, 0);
+        assert.equal(whole.speedLimits[gapIndex - 1], whole.params.Vmax_ms);
+        assertClose(whole.summary.time, runs[0] + runs[1], 0.5, 'time of the two runs');
+    });
+    
+    it('are kept through preprocessing without interpolating across them', () => {
+        const points = preprocessPoints(trackPoints(track), {
+            removeDuplicates: true, resampleDistance: 30, smoothing: 'moving-average', smoothingWindow: 200, maxGrade: 25
+        });
+        
+        const starts = points.map((point, i) => point.segmentStart ? i : -1).filter(i => i >= 0);
+        assert.equal(starts.length, 1);
+        assert.equal(points[starts[0]].lat, 45.02);
+        assert.ok(points.every(point => point.lat <= 45.01 + 1e-9 || point.lat >= 45.02 - 1e-9), 'no points in the gap');
+        assert.ok(points.slice(starts[0]).every(point => point.ele === 200), 'no smoothing across the gap');
+    });
+});
+
+describe('placeWaypoints', () => {
+    const { data } = simulate(segment(45, 45.05, 100, 101), {});
+    
+    it('puts a waypoint at its nearest point with the simulated arrival', () => {
+        const [placed] = placeWaypoints([{ name: 'Halfway', lat: 45.025, lon: 6.0005 }], data);
+        
+        assert.equal(placed.name, 'Halfway');
+        assert.equal(placed.index, 50);
+        assertClose(placed.offset, calculateDistance(45.025, 6, 45.025, 6.0005), 0.01, 'offset');
+        assert.equal(placed.distance, data[50].distance);
+        assert.equal(placed.time, data[50].time);
+    });
+    
+    it('leaves waypoints away from the route unplaced', () => {
+        const [placed] = placeWaypoints([{ name: 'Elsewhere', lat: 45.025, lon: 6.01 }], data);
+        
+        assert.equal(placed.index, null);
+        assert.equal(placed.time, null);
+        assert.ok(placed.offset > 250);
+    });
+});
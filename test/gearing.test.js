@@ -0,0 +1,86 @@
+// Gear selection, cadence and the gearing advice
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { simulate, selectGear, defaultParams } = require('../engine.js');
+const { assertClose, profileRoute } = require('./helpers.js');
+
+describe('selectGear', () => {
+    const drivetrain = { ...defaultParams.drivetrain, wheelCircumference: 2.1 };
+    
+    it('picks the gear nearest the preferred cadence', () => {
+        // 90 rpm in 50×16 at 90 / 60 × 2.1 × 50 / 16 m/s
+        const gear = selectGear(90 / 60 * 2.1 * 50 / 16, drivetrain);
+        assert.deepEqual([gear.chainring, gear.cog], [50, 16]);
+        assertClose(gear.cadence, 90, 1e-9, 'cadence');
+    });
+    
+    it('stays in the lowest or highest gear beyond the range of the cassette', () => {
+        const low = selectGear(1, drivetrain);
+        assert.deepEqual([low.chainring, low.cog], [34, 32]);
+        assertClose(low.cadence, 60 / (2.1 * 34 / 32), 1e-9, 'cadence in the lowest gear');
+        
+        const high = selectGear(25, drivetrain);
+        assert.deepEqual([high.chainring, high.cog], [50, 11]);
+    });
+});
+
+describe('cadence along the ride', () => {
+    it('follows the speed in the selected gear and is null when freewheeling', () => {
+        const { data, gearing, summary } = simulate(profileRoute([[2000, 0], [2000, -8]]), { Vmax_ms: 40 / 3.6 });
+        const drivetrain = defaultParams.drivetrain;
+        
+        data.slice(1).filter(row => row.cadence !== null).forEach(row => {
+            const expected = row.speed / 3.6 * 60 / (drivetrain.wheelCircumference * row.chainring / row.cog);
+            assertClose(row.cadence, expected, 1e-9, `cadence at ${row.distance} m`);
+        });
+        assert.ok(data.some(row => row.distance > 2500 && row.cadence === null), 'freewheeling on the descent');
+        
+        const gearTime = gearing.gears.reduce((sum, gear) => sum + gear.time, 0);
+        assertClose(gearTime + gearing.coastingTime, summary.time, 1e-6, 'time in gears and freewheeling');
+        assert.ok(gearing.gears.every((gear, i) => i === 0 || gear.ratio >= gearing.gears[i - 1].ratio));
+    });
+    
+    it('leaves out short stretches out of range', () => {
+        const { gearing, data } = simulate(profileRoute([[1000, 0], [150, 20], [1000, 0]]), { Pmax: 200 });
+        assert.ok(data.some(row => row.cadence !== null && row.cadence < 60), 'slow on the ramp');
+        assert.deepEqual(gearing.lowCadence, []);
+        assert.equal(gearing.lowGear, null);
+    });
+});
+
+describe('gearing advice', () => {
+    it('flags a climb too steep for the gears and finds the cog that fixes it', () => {
+        const { gearing } = simulate(profileRoute([[500, 0], [2000, 15], [500, 0]]), { Pmax: 200 });
+        const [stretch] = gearing.lowCadence;
+        const { lowGear } = gearing;
+        
+        assert.equal(gearing.lowCadence.length, 1);
+        assert.ok(stretch.from >= 500 && stretch.to <= 2600 && stretch.to - stretch.from > 1500);
+        assert.ok(stretch.cadence < 60);
+        
+        // The suggested cog holds 60 rpm with the small ring; one tooth fewer does not
+        const cadence = (chainring, cog) => lowGear.speed / 3.6 * 60 / (2.136 * chainring / cog);
+        assert.ok(cadence(34, lowGear.cog) >= 60);
+        assert.ok(cadence(34, lowGear.cog - 1) < 60);
+        assert.ok(cadence(lowGear.chainring, 32) >= 60);
+        assert.ok(cadence(lowGear.chainring + 1, 32) < 60);
+    });
+    
+    it('flags spinning out and finds the chainring that fixes it', () => {
+        const drivetrain = { chainrings: [39], cassette: [17] };
+        const { gearing } = simulate(profileRoute([[5000, 0]]), { drivetrain });
+        const { highGear } = gearing;
+        
+        assert.equal(gearing.highCadence.length, 1);
+        assert.ok(gearing.highCadence[0].cadence > 120);
+        const cadence = (chainring, cog) => highGear.speed / 3.6 * 60 / (2.136 * chainring / cog);
+        assert.ok(cadence(highGear.chainring, 17) <= 120);
+        assert.ok(cadence(highGear.chainring - 1, 17) > 120);
+        assert.ok(cadence(39, highGear.cog) <= 120);
+    });
+    
+    it('needs a chainring and a cog', () => {
+        assert.throws(() => simulate(profileRoute([[1000, 0]]), { drivetrain: { chainrings: [] } }), /at least one chainring/);
+    });
+});
@@ -0,0 +1,45 @@
+// Golden-file regression tests: the bundled route ridden with fixed parameters must keep
+// its finish times. After an intended change to the model, regenerate the expected values
+// with `UPDATE_GOLDEN=1 npm test` and review the diff of test/golden/.
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseActivityFile, simulate } = require('../engine.js');
+
+const goldenFile = path.join(__dirname, 'golden', 'default-route.json');
+const golden = JSON.parse(fs.readFileSync(goldenFile, 'utf8'));
+const update = Boolean(process.env.UPDATE_GOLDEN);
+const timeTolerance = 0.5; // s
+
+const buffer = fs.readFileSync(path.join(__dirname, '..', golden.route));
+const { points } = parseActivityFile(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+
+describe(`golden: ${golden.route}`, () => {
+    golden.cases.forEach(testCase => {
+        it(testCase.name, () => {
+            const { summary } = simulate(points, { ...golden.params, ...testCase.params });
+            const actual = {
+                time: summary.time,
+                distance: summary.distance,
+                avgPower: summary.avgPower,
+                elevationGain: summary.elevationGain
+            };
+            
+            if (update) {
+                testCase.expected = actual;
+                return;
+            }
+            assert.ok(Math.abs(actual.time - testCase.expected.time) <= timeTolerance,
+                `finish time ${actual.time.toFixed(1)} s, expected ${testCase.expected.time.toFixed(1)} s`);
+            assert.ok(Math.abs(actual.distance - testCase.expected.distance) <= 0.01, 'distance');
+            assert.ok(Math.abs(actual.avgPower - testCase.expected.avgPower) <= 0.1, 'average power');
+            assert.ok(Math.abs(actual.elevationGain - testCase.expected.elevationGain) <= 0.01, 'elevation gain');
+        });
+    });
+    
+    after(() => {
+        if (update) fs.writeFileSync(goldenFile, JSON.stringify(golden, null, 4) + '\n');
+    });
+});
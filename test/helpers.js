@@ -0,0 +1,42 @@
+// Synthetic routes and assertions shared by the test files
+
+const assert = require('node:assert/strict');
+
+const step = 50; // m between points of the synthetic profiles...
+const latitudeStep = 0.00045; // ...and ° between the points of the routes, just over 50 m
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message || 'value'}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+// Elevations a step apart for a profile of [length (m), grade (%)] pieces, from `start` (m)
+function profileElevations(pieces, start = 500) {
+    const elevations = [start];
+    pieces.forEach(([length, grade]) => {
+        for (let covered = step; covered <= length; covered += step) {
+            elevations.push(elevations[elevations.length - 1] + step * grade / 100);
+        }
+    });
+    return elevations;
+}
+
+// Route points due north along 6° E for a profile of [length (m), grade (%)] pieces
+function profileRoute(pieces, start = 500) {
+    return profileElevations(pieces, start).map((ele, i) => ({ lat: 45 + i * latitudeStep, lon: 6, ele: ele }));
+}
+
+// Data rows for a profile of [length (m), grade (%)] pieces, ridden at a constant speed
+function profileRows(pieces, speed_kmh = 20) {
+    return profileElevations(pieces).map((elevation, i) => ({
+        distance: i * step,
+        elevation: elevation,
+        time: i * step / speed_kmh * 3.6
+    }));
+}
+
+// `length` metres due north on the flat at `ele`, a point about every 50 m
+function straightRoute(length, ele = 100) {
+    return profileRoute([[length, 0]], ele);
+}
+
+module.exports = { step, latitudeStep, assertClose, profileElevations, profileRoute, profileRows, straightRoute };
@@ -0,0 +1,202 @@
+// GPX and TCX parsing, from small hand-written files
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGPX, trackPoints, parseTCX, parseActivityFile, parseXML } = require('../engine.js');
+
+function gpx(body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1"
+     xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+${body}
+</gpx>`;
+}
+
+function arrayBuffer(text) {
+    return new TextEncoder().encode(text).buffer;
+}
+
+describe('parseGPX', () => {
+    it('reads track points with elevation, time and extensions', () => {
+        const { points } = parseGPX(gpx(`
+  <trk><name>Morning ride</name><trkseg>
+    <trkpt lat="45.1" lon="6.1">
+      <ele>700.5</ele>
+      <time>2024-06-01T08:00:00Z</time>
+      <extensions>
+        <power>210</power>
+        <gpxtpx:TrackPointExtension><gpxtpx:hr>140</gpxtpx:hr><gpxtpx:cad>88</gpxtpx:cad></gpxtpx:TrackPointExtension>
+      </extensions>
+    </trkpt>
+    <trkpt lat="45.101" lon="6.1"><ele>701</ele><time>2024-06-01T08:00:05Z</time></trkpt>
+  </trkseg></trk>`));
+        
+        assert.equal(points.length, 2);
+        assert.deepEqual(points[0], {
+            lat: 45.1, lon: 6.1, ele: 700.5, time: Date.UTC(2024, 5, 1, 8), power: 210, heartRate: 140, cadence: 88
+        });
+        assert.deepEqual(points[1], { lat: 45.101, lon: 6.1, ele: 701, time: Date.UTC(2024, 5, 1, 8, 0, 5) });
+    });
+    
+    it('reads route points when there is no track', () => {
+        const { points } = parseGPX(gpx(`
+  <rte><name>Planned</name>
+    <rtept lat="45.1" lon="6.1"><ele>700</ele></rtept>
+    <rtept lat="45.2" lon="6.2"><ele>800</ele></rtept>
+    <rtept lat="45.3" lon="6.3"><ele>900</ele></rtept>
+  </rte>`));
+        
+        assert.deepEqual(points.map(point => point.ele), [700, 800, 900]);
+    });
+    
+    it('prefers the track over the route', () => {
+        const { points } = parseGPX(gpx(`
+  <rte><rtept lat="1" lon="1"/></rte>
+  <trk><trkseg><trkpt lat="2" lon="2"/></trkseg></trk>`));
+        
+        assert.deepEqual(points, [{ lat: 2, lon: 2, ele: 0 }]);
+    });
+    
+    it('keeps every track with its segments and rides the first', () => {
+        const { points, tracks } = parseGPX(gpx(`
+  <trk><name>Day 1</name>
+    <trkseg><trkpt lat="45.1" lon="6.1"/><trkpt lat="45.2" lon="6.1"/></trkseg>
+    <trkseg><trkpt lat="45.3" lon="6.1"/></trkseg>
+  </trk>
+  <trk><trkseg><trkpt lat="45.4" lon="6.1"/></trkseg></trk>
+  <rte><name>Plan B</name><rtept lat="46" lon="7"/></rte>`));
+        
+        assert.deepEqual(tracks.map(track => [track.name, track.type, track.segments.length]),
+            [['Day 1', 'track', 2], ['Track 2', 'track', 1], ['Plan B', 'route', 1]]);
+        assert.deepEqual(points.map(point => point.lat), [45.1, 45.2, 45.3]);
+        assert.equal(points[2].segmentStart, true);
+        assert.equal(points[1].segmentStart, undefined);
+        assert.deepEqual(trackPoints(tracks[1]), [{ lat: 45.4, lon: 6.1, ele: 0 }]);
+    });
+    
+    it('leaves out tracks without points', () => {
+        const { tracks } = parseGPX(gpx(`
+  <trk><name>Empty</name><trkseg></trkseg></trk>
+  <trk><trkseg></trkseg><trkseg><trkpt lat="1" lon="2"/></trkseg></trk>`));
+        
+        assert.equal(tracks.length, 1);
+        assert.equal(tracks[0].name, 'Track 2');
+        assert.equal(tracks[0].segments.length, 1);
+    });
+    
+    it('reads waypoints apart from the track', () => {
+        const { points, waypoints } = parseGPX(gpx(`
+  <wpt lat="45.15" lon="6.1"><ele>720</ele><name>Café</name><desc>Coffee stop</desc></wpt>
+  <wpt lat="45.3" lon="6.2"/>
+  <wpt lon="6.2"><name>No position</name></wpt>
+  <trk><trkseg><trkpt lat="45.1" lon="6.1"/><trkpt lat="45.2" lon="6.1"/></trkseg></trk>`));
+        
+        assert.equal(points.length, 2);
+        assert.deepEqual(waypoints, [
+            { name: 'Café', lat: 45.15, lon: 6.1, ele: 720, description: 'Coffee stop' },
+            { name: 'Waypoint 2', lat: 45.3, lon: 6.2, ele: 0 }
+        ]);
+    });
+    
+    it('puts points without elevation at sea level', () => {
+        const { points } = parseGPX(gpx(`
+  <trk><trkseg>
+    <trkpt lat="45.1" lon="6.1"></trkpt>
+    <trkpt lat="45.2" lon="6.1"><time>2024-06-01T08:00:00Z</time></trkpt>
+  </trkseg></trk>`));
+        
+        assert.equal(points[0].ele, 0);
+        assert.equal(points[1].ele, 0);
+    });
+    
+    it('skips points without a valid position', () => {
+        const { points } = parseGPX(gpx(`
+  <trk><trkseg>
+    <trkpt lat="45.1"><ele>1</ele></trkpt>
+    <trkpt lat="x" lon="6.1"><ele>2</ele></trkpt>
+    <trkpt lat="45.2" lon="6.1"><ele>3</ele></trkpt>
+  </trkseg></trk>`));
+        
+        assert.deepEqual(points, [{ lat: 45.2, lon: 6.1, ele: 3 }]);
+    });
+    
+    it('decodes entities and ignores comments and CDATA', () => {
+        const { points } = parseGPX(gpx(`
+  <!-- exported <trkpt lat="0" lon="0"/> -->
+  <trk><name><![CDATA[Col & <Galibier>]]></name><trkseg>
+    <trkpt lat='45.1' lon="6.1"><ele>7&#48;0</ele><extensions><surface>fine&#95;gravel</surface></extensions></trkpt>
+  </trkseg></trk>`));
+        
+        assert.deepEqual(points, [{ lat: 45.1, lon: 6.1, ele: 700, surface: 'compacted' }]);
+    });
+    
+    it('rejects malformed XML', () => {
+        assert.throws(() => parseGPX('<gpx><trk><trkseg><trkpt lat="1" lon="2"></trkseg></trk></gpx>'), /Invalid GPX file/);
+        assert.throws(() => parseGPX('<gpx><trk>'), /Invalid GPX file/);
+        assert.throws(() => parseGPX('<gpx><trkpt lat="1 lon="2"/></gpx>'), /Invalid GPX file/);
+        assert.throws(() => parseGPX('not xml at all'), /Invalid GPX file/);
+        assert.throws(() => parseGPX(''), /Invalid GPX file/);
+    });
+    
+    it('rejects a file without points', () => {
+        assert.throws(() => parseGPX(gpx('<trk><trkseg></trkseg></trk>')), /No track or route points/);
+    });
+});
+
+describe('parseTCX', () => {
+    const tcx = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"
+    xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+  <Activities><Activity Sport="Biking"><Lap StartTime="2024-06-01T08:00:00Z"><Track>
+    <Trackpoint>
+      <Time>2024-06-01T08:00:00Z</Time>
+      <Position><LatitudeDegrees>45.1</LatitudeDegrees><LongitudeDegrees>6.1</LongitudeDegrees></Position>
+      <AltitudeMeters>700</AltitudeMeters>
+      <HeartRateBpm><Value>130</Value></HeartRateBpm>
+      <Cadence>90</Cadence>
+      <Extensions><ns3:TPX><ns3:Watts>250</ns3:Watts></ns3:TPX></Extensions>
+    </Trackpoint>
+    <Trackpoint><Time>2024-06-01T08:00:01Z</Time><HeartRateBpm><Value>131</Value></HeartRateBpm></Trackpoint>
+    <Trackpoint>
+      <Position><LatitudeDegrees>45.2</LatitudeDegrees><LongitudeDegrees>6.2</LongitudeDegrees></Position>
+    </Trackpoint>
+  </Track></Lap></Activity></Activities>
+</TrainingCenterDatabase>`;
+
+    it('reads positioned trackpoints with their extensions', () => {
+        const { points } = parseTCX(tcx);
+        
+        assert.equal(points.length, 2);
+        assert.deepEqual(points[0], {
+            lat: 45.1, lon: 6.1, ele: 700, time: Date.UTC(2024, 5, 1, 8), heartRate: 130, cadence: 90, power: 250
+        });
+        assert.deepEqual(points[1], { lat: 45.2, lon: 6.2, ele: 0 });
+    });
+    
+    it('rejects malformed XML', () => {
+        assert.throws(() => parseTCX('<TrainingCenterDatabase><Trackpoint></TrainingCenterDatabase>'), /Invalid TCX file/);
+    });
+});
+
+describe('parseActivityFile', () => {
+    it('tells the format from the content', () => {
+        const data = parseActivityFile(arrayBuffer(gpx('<trk><trkseg><trkpt lat="1" lon="2"/></trkseg></trk>')));
+        assert.equal(data.format, 'gpx');
+        assert.equal(data.points.length, 1);
+    });
+    
+    it('rejects other files', () => {
+        assert.throws(() => parseActivityFile(arrayBuffer('lat,lon\n1,2\n')), /Unrecognized file format/);
+    });
+});
+
+describe('parseXML', () => {
+    it('keeps namespace prefixes in the name but not the local name', () => {
+        const root = parseXML('<a:root xmlns:a="x"><a:child key="v"/></a:root>');
+        const element = root.children[0].children[0];
+        
+        assert.equal(element.name, 'a:child');
+        assert.equal(element.localName, 'child');
+        assert.deepEqual(element.attributes, { key: 'v' });
+    });
+});
@@ -0,0 +1,137 @@
+// Distance, power and speed against cases that can be solved by hand
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    g, rho, Crr, calmConditions, calculateDistance, calculatePowerNeeded, calculateSpeed,
+    simulateSegment, defaultParams, simulate
+} = require('../engine.js');
+const { assertClose, profileRoute } = require('./helpers.js');
+
+const earthRadius = 6371000;
+const metresPerDegree = earthRadius * Math.PI / 180;
+
+// No rolling resistance, so on the flat all the power goes into the air
+const frictionless = { ...calmConditions, Crr: 0 };
+
+describe('calculateDistance', () => {
+    it('is zero between a point and itself', () => {
+        assert.equal(calculateDistance(45.1, 6.2, 45.1, 6.2), 0);
+    });
+    
+    it('measures one degree along a meridian as an arc of the earth radius', () => {
+        assertClose(calculateDistance(0, 0, 1, 0), metresPerDegree, 1e-6);
+        assertClose(calculateDistance(45, 6, 46, 6), metresPerDegree, 1e-6);
+    });
+    
+    it('measures one degree of longitude as cos(latitude) of that at the equator', () => {
+        assertClose(calculateDistance(0, 0, 0, 1), metresPerDegree, 1e-6);
+        assertClose(calculateDistance(60, 0, 60, 1), metresPerDegree * 0.5, 1);
+    });
+    
+    it('is symmetric', () => {
+        assert.equal(calculateDistance(45, 6, 45.3, 6.4), calculateDistance(45.3, 6.4, 45, 6));
+    });
+});
+
+describe('calculatePowerNeeded', () => {
+    it('is rolling plus air resistance times speed on the flat', () => {
+        const speed = 10;
+        const expected = speed * (80 * g * Crr + 0.5 * rho * 0.3 * speed * speed);
+        assertClose(calculatePowerNeeded(speed, 0, 80, 0.3), expected, 1e-9);
+    });
+    
+    it('lifts the mass at the vertical speed on a climb without air resistance', () => {
+        const speed = 5;
+        const theta = Math.atan(0.1);
+        const expected = speed * 80 * g * (Math.sin(theta) + Math.cos(theta) * Crr);
+        assertClose(calculatePowerNeeded(speed, 0.1, 80, 0), expected, 1e-9);
+    });
+    
+    it('pushes the drag with the airspeed in a headwind', () => {
+        const conditions = { ...frictionless, headwind: 5 };
+        const expected = 10 * 0.5 * rho * 0.3 * 15 * 15;
+        assertClose(calculatePowerNeeded(10, 0, 80, 0.3, conditions), expected, 1e-9);
+    });
+    
+    it('scales the drag by the draft factor', () => {
+        const alone = calculatePowerNeeded(10, 0, 80, 0.3, frictionless);
+        const drafting = calculatePowerNeeded(10, 0, 80, 0.3, { ...frictionless, draft: 0.6 });
+        assertClose(drafting, alone * 0.6, 1e-9);
+    });
+    
+    it('is negative on a descent steep enough to coast', () => {
+        assert.ok(calculatePowerNeeded(5, -0.1, 80, 0.3) < 0);
+    });
+});
+
+describe('calculateSpeed', () => {
+    const vmax = 50 / 3.6;
+    
+    it('solves P = ½ρCdA·v³ on the flat without rolling resistance', () => {
+        const expected = Math.cbrt(2 * 250 / (rho * 0.3));
+        assertClose(calculateSpeed(0, 80, 0.3, 250, vmax, frictionless), expected, 0.001);
+    });
+    
+    it('solves P = m·g·Crr·v without air resistance', () => {
+        const expected = 30 / (80 * g * Crr);
+        assertClose(calculateSpeed(0, 80, 0, 30, vmax), expected, 0.001);
+    });
+    
+    it('needs the rider power at the speed it finds on a climb', () => {
+        const speed = calculateSpeed(0.08, 85, 0.33, 250, vmax);
+        assertClose(calculatePowerNeeded(speed, 0.08, 85, 0.33), 250, 0.5, 'power');
+    });
+    
+    it('stops at Vmax when the power would go faster', () => {
+        assert.equal(calculateSpeed(-0.08, 85, 0.33, 250, vmax), vmax);
+        assert.equal(calculateSpeed(0, 85, 0.33, 2000, vmax), vmax);
+    });
+    
+    it('goes faster with more power, slower uphill and into the wind', () => {
+        const base = calculateSpeed(0, 85, 0.33, 200, vmax);
+        assert.ok(calculateSpeed(0, 85, 0.33, 300, vmax) > base);
+        assert.ok(calculateSpeed(0.05, 85, 0.33, 200, vmax) < base);
+        assert.ok(calculateSpeed(0, 85, 0.33, 200, vmax, { ...calmConditions, headwind: 4 }) < base);
+    });
+});
+
+describe('simulateSegment', () => {
+    it('holds Vmax on a descent with only the power it needs', () => {
+        const params = { ...defaultParams, Pmax: 300, CP: 300 };
+        const descent = { distance: 200, grade: -0.04 };
+        const result = simulateSegment(descent, params.Vmax_ms, params.Vmax_ms, params.Pmax, params);
+        assertClose(result.exitSpeed, params.Vmax_ms, 1e-9, 'speed');
+        assertClose(result.power, calculatePowerNeeded(params.Vmax_ms, -0.04, params.mass, params.CdA), 1, 'power');
+        assert.ok(result.power < params.Pmax);
+        assert.equal(result.braking, false);
+    });
+});
+
+describe('the sea-level comparison', () => {
+    const climb = profileRoute([[3000, 6]], 1500);
+    
+    it('is only ridden on request', () => {
+        const { seaLevelRide, data } = simulate(climb, {});
+        assert.equal(seaLevelRide, null);
+        assert.ok(data.every(row => row.seaLevelTime === null));
+    });
+    
+    it('is slower uphill in the denser air', () => {
+        const { seaLevelRide, ride, data } = simulate(climb, { air: { compareSeaLevel: true } });
+        assertClose(data[data.length - 1].seaLevelTime, seaLevelRide.totalTime, 1e-6, 'sea-level time');
+        assert.ok(seaLevelRide.totalTime > ride.totalTime);
+    });
+});
+
+describe('pacing strategies', () => {
+    const climb = profileRoute([[1000, 6]]);
+    
+    it('ride the one asked for', () => {
+        assert.equal(simulate(climb, { pacing: { strategy: 'constant' } }).strategy, 'constant');
+    });
+    
+    it('reject an unknown one', () => {
+        assert.throws(() => simulate(climb, { pacing: { strategy: 'bogus' } }), /Unknown pacing strategy "bogus"/);
+    });
+});
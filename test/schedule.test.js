@@ -0,0 +1,97 @@
+// Clock times along the ride, sunrise and sunset, and the schedule
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { simulate, calculateSunTimes, findDarkRanges, buildSchedule, buildScheduleCSV, placeWaypoints } = require('../engine.js');
+const { assertClose, straightRoute } = require('./helpers.js');
+
+const route = straightRoute(10000);
+const minute = 60000; // ms
+
+describe('calculateSunTimes', () => {
+    it('matches the almanac for Paris at midsummer', () => {
+        const sun = calculateSunTimes(Date.parse('2024-06-21T12:00Z'), 48.8566, 2.3522);
+        
+        assertClose(sun.sunrise, Date.parse('2024-06-21T03:47Z'), 3 * minute, 'sunrise');
+        assertClose(sun.sunset, Date.parse('2024-06-21T19:58Z'), 3 * minute, 'sunset');
+        assert.equal(sun.polar, null);
+    });
+    
+    it('gives the day around the time, also east of Greenwich across midnight UTC', () => {
+        // Sydney, 16 January: sunrise 06:00 and sunset 20:10 local (UTC+11)
+        const sun = calculateSunTimes(Date.parse('2024-01-15T22:00Z'), -33.87, 151.21);
+        
+        assertClose(sun.sunrise, Date.parse('2024-01-15T19:00Z'), 3 * minute, 'sunrise');
+        assertClose(sun.sunset, Date.parse('2024-01-16T09:10Z'), 3 * minute, 'sunset');
+    });
+    
+    it('gives a little over 12 hours of daylight on the equator at the equinox', () => {
+        const sun = calculateSunTimes(Date.parse('2024-03-20T12:00Z'), 0, 0);
+        assertClose((sun.sunset - sun.sunrise) / 3600000, 12.1, 0.05, 'day length (h)');
+    });
+    
+    it('reports the midnight sun and the polar night', () => {
+        assert.deepEqual(calculateSunTimes(Date.parse('2024-06-21T12:00Z'), 69.65, 18.96), { sunrise: null, sunset: null, polar: 'day' });
+        assert.deepEqual(calculateSunTimes(Date.parse('2024-12-21T12:00Z'), 69.65, 18.96), { sunrise: null, sunset: null, polar: 'night' });
+    });
+});
+
+describe('clock times', () => {
+    const start = Date.parse('2024-06-21T08:00Z');
+    
+    it('give every data row an ETA from the start time, stops included', () => {
+        const { data } = simulate(route, { startTime: start, stops: [{ name: 'Coffee', distance: 4000, duration: 600 }] });
+        data.forEach(row => assertClose(row.eta, start + row.elapsedTime * 1000, 1e-3, `ETA at ${row.distance} m`));
+        assert.ok(data[data.length - 1].elapsedTime > data[data.length - 1].time + 599);
+    });
+    
+    it('are null without a start time and accept a date string', () => {
+        assert.equal(simulate(route, {}).data[10].eta, null);
+        assert.equal(simulate(route, { startTime: '2024-06-21T08:00Z' }).data[0].eta, start);
+        assert.throws(() => simulate(route, { startTime: 'tomorrow morning' }), /Invalid start time/);
+    });
+    
+    it('find the stretches ridden after sunset', () => {
+        const day = simulate(route, { startTime: start });
+        assert.deepEqual(day.darkness, []);
+        
+        // Sunset at 45° N, 6° E on 21 June is at about 19:25 UTC
+        const evening = simulate(route, { startTime: Date.parse('2024-06-21T19:15Z') });
+        const [dark] = evening.darkness;
+        assert.equal(evening.darkness.length, 1);
+        assert.equal(dark.endIdx, evening.data.length - 1);
+        assert.ok(dark.from > 0 && dark.to === evening.summary.distance);
+        assert.deepEqual(findDarkRanges(evening.data), evening.darkness);
+    });
+});
+
+describe('buildSchedule', () => {
+    const { data } = simulate(route, { startTime: Date.parse('2024-06-21T19:15Z'), stops: [{ name: 'Coffee', distance: 4000, duration: 600 }] });
+    const waypoints = placeWaypoints([{ name: 'Bridge', lat: 45.0675, lon: 6 }, { name: 'Elsewhere', lat: 46, lon: 6 }], data);
+    const climbs = [{ category: '4', endIdx: 120 }];
+    const stops = [{ name: 'Coffee', index: data.findIndex(row => row.dwell > 0) }];
+    const schedule = buildSchedule(data, { interval: 3000, waypoints, climbs, stops });
+    
+    it('lists the start, every interval, waypoints on the route, climb tops, stops and the finish in route order', () => {
+        assert.deepEqual(schedule.map(entry => entry.name), ['Start', '3 km', 'Coffee', '6 km', 'Top of cat. 4 climb', 'Bridge', '9 km', 'Finish']);
+        assert.ok(schedule.every((entry, i) => i === 0 || entry.distance >= schedule[i - 1].distance));
+    });
+    
+    it('gives each entry its clock time and whether it is dark', () => {
+        const finish = schedule[schedule.length - 1];
+        assert.equal(finish.eta, data[data.length - 1].eta);
+        assert.equal(finish.dark, true);
+        assert.equal(schedule[0].dark, false);
+        assert.equal(buildSchedule(simulate(route, {}).data).every(entry => entry.eta === null && entry.dark === null), true);
+    });
+    
+    it('exports as CSV with quoted names', () => {
+        const lines = buildScheduleCSV([{ ...schedule[0], name: 'Start, "A"' }, schedule[2]]).trim().split('\n');
+        
+        assert.equal(lines[0], 'type,name,distance_km,elevation_m,elapsed,stop_min,eta,light');
+        assert.ok(lines[1].startsWith('start,"Start, ""A""",0.00,100,0h 0m 0s,,'));
+        assert.ok(lines[1].endsWith(',day'));
+        assert.ok(lines[2].startsWith('stop,Coffee,4.00,100,'));
+        assert.match(lines[2], /,10,\d{4}-\d\d-\d\d \d\d:\d\d,day$/);
+    });
+});
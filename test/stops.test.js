@@ -0,0 +1,79 @@
+// Stops with a dwell time and slow zones with a speed cap
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { simulate, scheduleStops, placeWaypoints } = require('../engine.js');
+const { assertClose, latitudeStep, straightRoute } = require('./helpers.js');
+
+const route = straightRoute(10000);
+const coffee = { name: 'Coffee', distance: 4000, duration: 600 };
+
+describe('stops', () => {
+    const plain = simulate(route, {});
+    const stopped = simulate(route, { stops: [coffee] });
+    
+    it('add their dwell to the elapsed time but not to the moving time', () => {
+        assert.equal(plain.summary.elapsedTime, plain.summary.time);
+        assertClose(stopped.summary.stoppedTime, 600, 1e-6, 'stopped time');
+        assertClose(stopped.summary.elapsedTime, stopped.summary.time + 600, 1e-6, 'elapsed time');
+        assert.equal(stopped.ride.stoppedTime, 600);
+    });
+    
+    it('bring the rider to a halt, which costs some moving time', () => {
+        const index = stopped.segments.findIndex(segment => segment.stop);
+        assert.equal(stopped.ride.segments[index].exitSpeed, 0);
+        assert.ok(stopped.segments[index].cumulativeDistance >= 4000);
+        assert.ok(stopped.summary.time > plain.summary.time + 5);
+        assert.ok(stopped.summary.time < plain.summary.time + 60);
+    });
+    
+    it('let W′ recover while the rider waits', () => {
+        const params = { Pmax: 300, CP: 230 };
+        const { data } = simulate(route, { ...params, stops: [coffee] });
+        const index = data.findIndex(row => row.dwell > 0);
+        
+        // Balance on arrival, then after the wait and the restart
+        assert.ok(data[index].wPrimeBalance < 5);
+        assert.ok(data[index + 1].wPrimeBalance > data[index].wPrimeBalance + 5);
+    });
+    
+    it('are scheduled in route order with their arrival and departure', () => {
+        const stops = [coffee, { name: 'Lights', distance: 1000, duration: 30 }];
+        const { data } = simulate(route, { stops: stops });
+        const [lights, cafe] = scheduleStops(stops, data);
+        
+        assert.equal(lights.name, 'Lights');
+        assert.equal(cafe.name, 'Coffee');
+        assert.ok(data[cafe.index].distance >= 4000 && data[cafe.index - 1].distance < 4000);
+        assertClose(cafe.arrival, data[cafe.index].time + 30, 1e-6, 'arrival after the first stop');
+        assertClose(cafe.departure, cafe.arrival + 600, 1e-6, 'departure');
+        assertClose(data[data.length - 1].elapsedTime, data[data.length - 1].time + 630, 1e-6, 'finish');
+    });
+    
+    it('delay the arrival at the waypoints after them', () => {
+        const { data } = simulate(route, { stops: [{ name: 'Lunch', distance: 3000, duration: 1800 }], startTime: '2026-06-21T08:00:00Z' });
+        const [placed] = placeWaypoints([{ name: 'Bridge', lat: 45 + 160 * latitudeStep, lon: 6 }], data);
+        
+        assert.ok(placed.distance > 7900 && placed.distance < 8100);
+        assertClose(placed.elapsedTime, placed.time + 1800, 1e-6, 'elapsed arrival');
+        assertClose(placed.eta, Date.parse('2026-06-21T08:00:00Z') + placed.elapsedTime * 1000, 1, 'eta');
+    });
+});
+
+describe('slow zones', () => {
+    const zone = { from: 3000, to: 6000, speed: 15 / 3.6 };
+    const { data, summary, segments, ride } = simulate(route, { slowZones: [zone] });
+    
+    it('cap the speed inside the zone', () => {
+        const inside = data.filter(row => row.distance > zone.from + 50 && row.distance <= zone.to);
+        assert.ok(inside.length > 0);
+        inside.forEach(row => assert.ok(row.speed <= 15 + 1e-6, `${row.speed} km/h at ${row.distance} m`));
+    });
+    
+    it('are entered at their speed and left behind', () => {
+        const first = segments.findIndex(segment => segment.speedCap !== undefined);
+        assert.ok(ride.segments[first - 1].exitSpeed <= zone.speed + 1e-9);
+        assert.ok(data[data.length - 1].speed > 25);
+        assert.ok(summary.time > simulate(route, {}).summary.time + 200);
+    });
+});
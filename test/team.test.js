@@ -0,0 +1,42 @@
+// Team time trial: the pace is one every rider can hold
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { simulate } = require('../engine.js');
+const { assertClose, profileRoute, straightRoute } = require('./helpers.js');
+
+const flat = straightRoute(5000);
+
+describe('simulateTeamRide', () => {
+    // A is slower at steady speed, but B is too heavy to follow A's acceleration
+    const riders = [
+        { name: 'A', mass: 60, CdA: 0.45, Pmax: 200 },
+        { name: 'B', mass: 120, CdA: 0.20, Pmax: 150 }
+    ];
+    const { ride } = simulate(flat, { group: { mode: 'ttt', rotation: 30, riders } });
+    
+    it('lets the rider who cannot follow the acceleration set the pace', () => {
+        assert.equal(ride.segments[0].pacesetter, 1);
+    });
+    
+    it('leaves nobody short of power', () => {
+        ride.segments.forEach((segment, i) => {
+            assert.deepEqual(segment.shortfall, [0, 0], `segment ${i}`);
+        });
+    });
+});
+
+describe('team time trial data', () => {
+    const riders = [
+        { name: 'A', mass: 60, CdA: 0.30, Pmax: 250 },
+        { name: 'B', mass: 90, CdA: 0.35, Pmax: 300 }
+    ];
+    const { data } = simulate(profileRoute([[3000, 4]]), { group: { mode: 'ttt', rotation: 30, riders } });
+    
+    it('gives the forces on the first rider, in their place in the paceline, like the power', () => {
+        data.slice(1).forEach((row, i) => {
+            const force = row.forceGravity + row.forceRolling + row.forceAir + row.forceInertia + row.forceBraking;
+            assertClose(force * row.speed / 3.6, row.power, 1, `row ${i + 1}`);
+        });
+    });
+});